@@ -17,7 +17,7 @@ export default {
     commonjs(),
     postcss({
       extract: false,
-      inject: true,
+      inject: false, // chatbot.js injects the stylesheet into the page or its shadow root
       minimize: true,
     }),
     terser(), // <-- This is the correct plugin call
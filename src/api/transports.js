@@ -0,0 +1,279 @@
+// src/api/transports.js
+import { generateUniqueId } from '../utils';
+
+/*
+ * Every transport exposes send(body, handlers) and close().
+ *
+ * send() takes the chat request body ({ sender, message, customData }) and
+ * resolves with the bot responses as an array, like the REST endpoint returns.
+ * Streaming transports call handlers.onToken(token, text) for every token so
+ * the reply can be rendered while it arrives; the streamed text is included in
+ * the resolved array as a { text } response, and handlers.onEvent(event) for
+ * every stream event. handlers.signal is an AbortSignal that cancels the request.
+ *
+ * Streaming servers send JSON events:
+ *   { "type": "token", "text": "Hel" }      - a piece of the current reply
+ *   { "type": "message", "message": {...} } - a complete response (buttons, custom, ...)
+ *   { "type": "done" }                      - the reply is complete
+ *   { "type": "error", "error": "..." }     - the reply failed
+ * A plain array of responses is accepted as a complete, non-streamed reply.
+ */
+
+function httpError(response) {
+  const error = new Error(`HTTP error! status: ${response.status}`);
+  error.status = response.status;
+  return error;
+}
+
+async function resolveHeaders(headers) {
+  return (await (typeof headers === 'function' ? headers() : headers)) || {};
+}
+
+function createStreamState(handlers = {}) {
+  return { text: '', responses: [], handlers };
+}
+
+// Applies one stream event; returns true when the reply is complete
+function applyStreamEvent(state, event) {
+  state.handlers.onEvent?.(event);
+  if (Array.isArray(event)) {
+    state.responses.push(...event);
+    return true;
+  }
+
+  switch (event?.type) {
+    case 'token':
+      state.text += event.text || '';
+      state.handlers.onToken?.(event.text || '', state.text);
+      return false;
+    case 'message':
+      flushStreamText(state);
+      if (event.message) state.responses.push(event.message);
+      return false;
+    case 'done':
+      return true;
+    case 'error':
+      throw new Error(event.error || 'Stream error');
+    default:
+      return false;
+  }
+}
+
+function flushStreamText(state) {
+  if (state.text) {
+    state.responses.push({ text: state.text });
+    state.text = '';
+  }
+}
+
+function finishStream(state) {
+  flushStreamText(state);
+  return state.responses;
+}
+
+/**
+ * Sends each message as a single POST and waits for the full JSON array.
+ */
+export class RestTransport {
+  constructor({ url, headers }) {
+    this.url = url;
+    this.headers = headers;
+  }
+
+  async send(body, handlers = {}) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(await resolveHeaders(this.headers)) },
+      body: JSON.stringify(body),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok) throw httpError(response);
+    return response.json();
+  }
+
+  close() {}
+}
+
+/**
+ * POSTs the message and reads the reply as a text/event-stream.
+ * Falls back to a plain JSON reply when the server does not stream.
+ */
+export class SseTransport {
+  constructor({ url, headers }) {
+    this.url = url;
+    this.headers = headers;
+  }
+
+  async send(body, handlers = {}) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+        ...(await resolveHeaders(this.headers))
+      },
+      body: JSON.stringify(body),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok) throw httpError(response);
+
+    const contentType = response.headers?.get?.('content-type') || '';
+    if (!response.body || !contentType.includes('text/event-stream')) {
+      return response.json();
+    }
+
+    const state = createStreamState(handlers);
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const data = rawEvent
+          .split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).replace(/^ /, ''))
+          .join('\n');
+        if (!data) continue;
+        if (data === '[DONE]') {
+          reader.cancel();
+          return finishStream(state);
+        }
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (e) {
+          console.warn('Chatbot SDK: ignoring non-JSON stream event');
+          continue;
+        }
+        if (applyStreamEvent(state, event)) {
+          reader.cancel();
+          return finishStream(state);
+        }
+      }
+    }
+
+    return finishStream(state);
+  }
+
+  close() {}
+}
+
+/**
+ * Keeps one socket open and correlates replies with requests by id.
+ * Browsers cannot set headers on a socket, so they are sent in every frame.
+ */
+export class WebSocketTransport {
+  constructor({ url, headers }) {
+    this.url = url;
+    this.headers = headers;
+    this.socket = null;
+    this.ready = null;
+    this.pending = new Map();
+  }
+
+  connect() {
+    if (this.socket && this.socket.readyState <= WebSocket.OPEN) return this.ready;
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+    this.ready = new Promise((resolve, reject) => {
+      socket.onopen = () => resolve(socket);
+      socket.onerror = () => reject(new Error('WebSocket connection failed'));
+    });
+    socket.onmessage = (event) => this.handleFrame(event.data);
+    socket.onclose = () => {
+      this.pending.forEach(request => request.reject(new Error('WebSocket closed')));
+      this.pending.clear();
+      if (this.socket === socket) this.socket = null;
+    };
+
+    return this.ready;
+  }
+
+  async send(body, handlers = {}) {
+    const socket = await this.connect();
+    const headers = await resolveHeaders(this.headers);
+    const id = generateUniqueId();
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (this.pending.delete(id)) reject(new Error('Request aborted'));
+      };
+      // The signal may outlive the request, so the listener goes when it settles
+      const settle = (callback) => (value) => {
+        handlers.signal?.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      this.pending.set(id, { state: createStreamState(handlers), resolve: settle(resolve), reject: settle(reject) });
+      handlers.signal?.addEventListener('abort', onAbort, { once: true });
+      socket.send(JSON.stringify({ id, ...body, ...(Object.keys(headers).length ? { headers } : {}) }));
+    });
+  }
+
+  handleFrame(data) {
+    let frame;
+    try {
+      frame = JSON.parse(data);
+    } catch (e) {
+      console.warn('Chatbot SDK: ignoring non-JSON WebSocket frame');
+      return;
+    }
+
+    // Servers that do not echo the id can only serve one request at a time
+    const id = frame?.id ?? (this.pending.size === 1 ? this.pending.keys().next().value : null);
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    try {
+      const event = Array.isArray(frame?.responses) ? frame.responses : frame;
+      if (applyStreamEvent(request.state, event)) {
+        this.pending.delete(id);
+        request.resolve(finishStream(request.state));
+      }
+    } catch (error) {
+      this.pending.delete(id);
+      request.reject(error);
+    }
+  }
+
+  close() {
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+}
+
+/**
+ * Creates the transport selected by config.transport: 'rest' (default),
+ * 'sse', 'websocket', or a custom object implementing send() and close().
+ * @param {object} config - The widget config.
+ * @param {object} endpoints - The resolved endpoints.
+ * @param {object|Function} [headers] - Extra request headers, or a function returning them (or a promise of them).
+ */
+export function createTransport(config, endpoints, headers) {
+  const transport = config.transport || 'rest';
+  if (typeof transport === 'object') return transport;
+
+  switch (transport) {
+    case 'websocket':
+      return new WebSocketTransport({ url: endpoints.chatbot.chat_ws, headers });
+    case 'sse':
+      return new SseTransport({ url: endpoints.chatbot.chat_stream, headers });
+    case 'rest':
+      return new RestTransport({ url: config.botUrl, headers });
+    default:
+      console.warn(`Chatbot SDK: unknown transport "${transport}", using rest`);
+      return new RestTransport({ url: config.botUrl, headers });
+  }
+}
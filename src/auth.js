@@ -0,0 +1,110 @@
+// src/auth.js
+
+/**
+ * Holds the user's auth token for one widget. The token is either set directly
+ * or fetched from an async provider, which is asked for a fresh token when the
+ * server answers 401. Tokens must never be logged.
+ */
+export class AuthManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.token] - A token to start with.
+   * @param {Function} [options.getToken] - Async provider returning a token (or null when logged out).
+   *   Called with { refresh: true } when the current token was rejected.
+   */
+  constructor({ token = null, getToken = null } = {}) {
+    this.token = token || null;
+    this.provider = typeof getToken === 'function' ? getToken : null;
+    this.pending = null;
+  }
+
+  setToken(token) {
+    this.token = token || null;
+  }
+
+  setProvider(getToken) {
+    this.provider = typeof getToken === 'function' ? getToken : null;
+    this.token = null;
+  }
+
+  isAuthenticated() {
+    return Boolean(this.token);
+  }
+
+  /**
+   * Returns the current token, asking the provider when there is none yet.
+   * @param {object} [options]
+   * @param {boolean} [options.refresh] - Ignore the cached token and ask the provider.
+   * @returns {Promise<string|null>} The token, or null when unauthenticated.
+   */
+  async getToken({ refresh = false } = {}) {
+    if (this.token && !refresh) return this.token;
+    if (!this.provider) return refresh ? null : this.token;
+
+    // Concurrent callers share one provider call
+    if (!this.pending) {
+      this.pending = Promise.resolve()
+        .then(() => this.provider({ refresh }))
+        .then(token => {
+          this.token = token || null;
+          return this.token;
+        })
+        .finally(() => {
+          this.pending = null;
+        });
+    }
+    return this.pending;
+  }
+
+  /**
+   * @returns {Promise<object>} The authorization header, or no headers when unauthenticated.
+   */
+  async getHeaders() {
+    try {
+      const token = await this.getToken();
+      return token ? { authorization: `Bearer ${token}` } : {};
+    } catch (error) {
+      console.error('Chatbot SDK: token provider failed', error?.message || '');
+      return {};
+    }
+  }
+
+  /**
+   * Asks the provider for a new token after the server rejected the current one.
+   * @returns {Promise<string|null>} The new token, or null when it cannot be refreshed.
+   */
+  async refresh() {
+    if (!this.provider) return null;
+    try {
+      return await this.getToken({ refresh: true });
+    } catch (error) {
+      console.error('Chatbot SDK: token refresh failed', error?.message || '');
+      return null;
+    }
+  }
+
+  /**
+   * fetch() with the auth header added. A 401 refreshes the token and retries once.
+   * @param {string} url - The request URL.
+   * @param {object} [options] - fetch() options.
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, options = {}) {
+    const send = async () => fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), ...(await this.getHeaders()) }
+    });
+
+    const response = await send();
+    if (response.status === 401 && this.provider && await this.refresh()) {
+      return send();
+    }
+    return response;
+  }
+
+  clear() {
+    this.token = null;
+    this.provider = null;
+    this.pending = null;
+  }
+}
@@ -0,0 +1,130 @@
+// src/callDiagnostics.js
+
+/*
+ * Checks run before a voice call: the microphone permission, the available
+ * audio devices and a short microphone level test. Failures, both here and
+ * while a call is set up, are mapped to codes the widget has messages for:
+ *   permission-denied, no-device, device-in-use, token, connect, agent, unknown
+ */
+
+/**
+ * @returns {Promise<string>} 'granted', 'denied', 'prompt', or 'unknown' when the
+ *   browser cannot tell.
+ */
+export async function getMicrophonePermission() {
+  try {
+    const status = await navigator.permissions?.query({ name: 'microphone' });
+    return status?.state || 'unknown';
+  } catch (e) {
+    // Some browsers cannot query the microphone permission
+    return 'unknown';
+  }
+}
+
+/**
+ * Lists the audio devices. Labels stay empty until the microphone was allowed.
+ * @returns {Promise<{ inputs: object[], outputs: object[] }>} Devices as { deviceId, label }.
+ */
+export async function listAudioDevices() {
+  const devices = (await navigator.mediaDevices?.enumerateDevices?.()) || [];
+  const byKind = (kind) => devices
+    .filter(device => device.kind === kind && device.deviceId)
+    .map(device => ({ deviceId: device.deviceId, label: device.label }));
+  return { inputs: byKind('audioinput'), outputs: byKind('audiooutput') };
+}
+
+/**
+ * @returns {boolean} Whether audio can be sent to a chosen output device.
+ */
+export function canSelectAudioOutput() {
+  return typeof HTMLMediaElement !== 'undefined' && 'setSinkId' in HTMLMediaElement.prototype;
+}
+
+/**
+ * @param {string} [deviceId] - A microphone, or none for the default one.
+ * @returns {boolean|object} The audio constraint for getUserMedia().
+ */
+export function getAudioConstraints(deviceId) {
+  return deviceId ? { deviceId: { exact: deviceId } } : true;
+}
+
+/**
+ * Records from the microphone for a moment and reports how loud it is.
+ * Rejects with the getUserMedia() error when the microphone cannot be opened.
+ * @param {object} [options]
+ * @param {string} [options.deviceId] - The microphone to test.
+ * @param {number} [options.duration] - How long to listen, in ms.
+ * @param {Function} [options.onLevel] - Called with each level, between 0 and 1.
+ * @param {AbortSignal} [options.signal] - Ends the test early.
+ * @returns {Promise<{ peak: number|null }>} The loudest level, null when it cannot be measured.
+ */
+export async function testMicrophone({ deviceId, duration = 3000, onLevel, signal } = {}) {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: getAudioConstraints(deviceId) });
+  const stopStream = () => stream.getTracks().forEach(track => track.stop());
+
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) {
+    stopStream();
+    return { peak: null };
+  }
+
+  let audioContext = null;
+  let peak = 0;
+  try {
+    // Creating the context can fail too (e.g. too many contexts); the stream is stopped either way
+    audioContext = new AudioContext();
+    const analyser = audioContext.createAnalyser();
+    analyser.fftSize = 512;
+    audioContext.createMediaStreamSource(stream).connect(analyser);
+    const samples = new Float32Array(analyser.fftSize);
+
+    await new Promise((resolve) => {
+      const startedAt = Date.now();
+      const measure = () => {
+        analyser.getFloatTimeDomainData(samples);
+        const rms = Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+        // Speech rarely goes above an RMS of 0.25, so that is shown as full scale
+        const level = Math.min(1, rms * 4);
+        peak = Math.max(peak, level);
+        onLevel?.(level);
+
+        if (signal?.aborted || Date.now() - startedAt >= duration) {
+          resolve();
+        } else {
+          setTimeout(measure, 50);
+        }
+      };
+      measure();
+    });
+  } finally {
+    stopStream();
+    audioContext?.close();
+  }
+  return { peak };
+}
+
+/**
+ * Maps a failure to an error code.
+ * @param {Error} error - The error that was thrown.
+ * @param {string} step - Where it happened: 'microphone', 'token', 'connect' or 'agent'.
+ * @returns {string} The error code.
+ */
+export function classifyCallError(error, step) {
+  if (step === 'microphone') {
+    switch (error?.name) {
+      case 'NotAllowedError':
+      case 'SecurityError':
+        return 'permission-denied';
+      case 'NotFoundError':
+      case 'OverconstrainedError':
+        return 'no-device';
+      case 'NotReadableError':
+      case 'AbortError':
+        return 'device-in-use';
+      default:
+        // Without mediaDevices (e.g. on http://) there is no microphone to use
+        return navigator.mediaDevices?.getUserMedia ? 'unknown' : 'no-device';
+    }
+  }
+  return ['token', 'connect', 'agent'].includes(step) ? step : 'unknown';
+}
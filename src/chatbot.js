@@ -1,52 +1,159 @@
 // src/chatbot.js - Enhanced with tabs, responsive design, and new features
-import './chatbot.css';
-import { parseMarkdown, generateUniqueId, setLocalStorageItem, getLocalStorageItem } from './utils';
-import { renderMessage, renderCustomPayload } from './renderer';
-import endpoints from './api/endpoints';
-import {
-  LocalParticipant,
-  LocalTrackPublication,
-  Participant,
-  RemoteParticipant,
-  RemoteTrack,
-  RemoteTrackPublication,
-  Room,
-  RoomEvent,
-  Track,
-  VideoPresets,
-} from 'livekit-client';
+import styles from './chatbot.css';
+import { escapeHtml, formatDuration, generateUniqueId, getFocusableElements, injectStyleSheet, makeActivatable, prefersReducedMotion } from './utils';
+import { renderMarkdown } from './markdown';
+import { sanitizeUrl, setSafeHTML } from './sanitizer';
+import { registerRenderer, renderMessageContent } from './renderer';
+import { buildEndpoints, DEFAULT_LIVEKIT_URL } from './api/endpoints';
+import { createTransport } from './api/transports';
+import { EventEmitter, runHooks, runHooksAsync } from './events';
+import { AuthManager } from './auth';
+import { DEFAULT_LOCALE, isRtlLocale, registerLocale, translate } from './i18n';
+import { localizeValue, resolveHomeActions } from './homeActions';
+import { BUILT_IN_TAB_IDS, createTabFrame, resolveTabs } from './tabs';
+import { PII_TYPES, detectPii, maskPii } from './pii';
+import { WidgetStorage } from './storage';
+import { normalizeTheme, registerThemePreset, resolveThemeTokens, tokenToVariable } from './themes';
+import { VoiceCallController } from './voiceCall';
+import { canSelectAudioOutput, classifyCallError, getMicrophonePermission, listAudioDevices, testMicrophone } from './callDiagnostics';
+import { isRecordingSupported, VoiceRecorder } from './voiceRecorder';
 
 
 
 
-let authToken = null;
-let is_first_log_in = true;
-
 class ChatbotWidget {
-  constructor() {
+  constructor(options = {}) {
+    const { options: publicOptions, credentials } = ChatbotWidget.splitCredentials(options);
+    this.options = publicOptions;
+    this.storageSecret = credentials.encryptionSecret;
+    this.instanceId = ChatbotWidget.resolveInstanceId(options.instanceId);
     this.config = {};
+    this.endpoints = buildEndpoints();
+    this.events = new EventEmitter();
+    this.hooks = { beforeSend: [], beforeRender: [] };
+    this.renderers = new Map();
+    this.auth = new AuthManager({ token: credentials.authToken, getToken: credentials.getToken });
+    Object.entries(options.renderers || {}).forEach(([type, renderer]) => this.registerRenderer(type, renderer));
     this.isOpen = false;
+    this.returnFocusTo = null;
     this.sessionId = null;
     this.messages = [];
     this.elements = {};
     this.refreshInterval = null;
-    this.debug = true;
+    this.timeouts = new Set();
+    this.activeRequests = new Set();
+    this.inFlightMessages = new Set();
+    this.outbox = [];
+    this.flushingOutbox = false;
+    this.handleOnline = () => this.flushOutbox();
+    this.handleColorSchemeChange = () => {
+      this.applyDynamicStyles();
+      this.emit('theme:changed', this.getThemeState());
+    };
+    this.colorSchemeQuery = null;
+    this.themeVariables = [];
+    this.themeState = { mode: 'light', preset: 'default', scheme: 'light' };
+    this.pendingReplies = 0;
+    this.sessionMeta = { userId: null };
+    this.sessionTimer = null;
+    // Settles once init() has loaded the session and its storage
+    this.sessionReady = new Promise(resolve => { this.resolveSessionReady = resolve; });
+    this.history = { cursor: null, hasMore: false, loading: false, synced: false };
+    this.destroyed = false;
+    this.isFirstLogIn = true;
+    this.debug = Boolean(options.debug);
     this.currentTab = 'home';
-    this.termsAccepted = false;
+    this.customTabs = new Map();
+    this.consentQueue = [];
+    this.consentShown = false;
+    this.consentRecord = null;
+    this.piiWarningText = null;
     this.announcements = [];
     this.userNotifications = [];
-    this.notifications = [
-      "👋 !مرحباً، يمكنني مساعدتك",
-      "🛍️ هل تريد استكشاف منتجاتنا الجديدة؟",
-      "🤔 هل تحتاج مساعدة في أي شيء؟",
-      "💬 !أنا هنا إذا كان لديك أسئلة",
-      "🔥 !اطلع على أحدث عروضنا"
-    ];
+    this.locale = DEFAULT_LOCALE;
+    this.callLanguage = 'en';
+    this.callDevices = { input: '', output: '' };
+    this.precall = null;
+    this.voiceInterims = new Map();
+    this.voiceRecorder = null;
+    this.voiceMessageState = 'idle';
+    this.readAloud = false;
+    this.speech = null;
+    this.voiceCall = this.createVoiceCall();
+  }
+  // --- Instances ---
+  // Creates, registers and boots a new widget instance
+  static create(options = {}) {
+    const widget = new ChatbotWidget(options);
+    ChatbotWidget.instances.push(widget);
+    widget.init();
+    return widget;
+  }
+
+  // Tokens and secrets go only to the auth and storage managers; this.config is
+  // logged in debug mode and passed around, so it never holds them
+  static splitCredentials(options = {}) {
+    const { authToken, getToken, ...rest } = options;
+    if (!rest.storage) return { options: rest, credentials: { authToken, getToken } };
+
+    const { encryptionSecret, ...storage } = rest.storage;
+    return { options: { ...rest, storage }, credentials: { authToken, getToken, encryptionSecret } };
+  }
+
+  // Storage keys and DOM ids are derived from the instance ID, so every live
+  // widget needs its own: a duplicate is rejected and a missing one generated
+  static resolveInstanceId(requested) {
+    const taken = new Set(ChatbotWidget.instances.map(instance => instance.instanceId));
+    if (requested) {
+      if (taken.has(requested)) {
+        throw new Error(`Chatbot SDK: a widget with instanceId "${requested}" already exists`);
+      }
+      return String(requested);
+    }
+
+    // The first widget keeps the unprefixed keys; later ones are numbered, stable across reloads
+    if (!taken.has('default')) return 'default';
+    let number = 2;
+    while (taken.has(`default-${number}`)) number++;
+    return `default-${number}`;
+  }
+
+  // Registers a renderer for every instance on the page
+  static registerRenderer(type, renderer) {
+    return registerRenderer(type, renderer);
+  }
+
+  // Adds or extends a string catalog for every instance on the page
+  static registerLocale(locale, strings) {
+    registerLocale(locale, strings);
+  }
+
+  // Adds a named theme preset ({ light, dark } token sets) for every instance on the page
+  static registerThemePreset(name, preset) {
+    registerThemePreset(name, preset);
+  }
+
+  // Reads the JSON config from the chatbot-config attribute of a script tag
+  static readScriptConfig(scriptTag) {
+    const configJson = scriptTag?.getAttribute('chatbot-config');
+    if (!configJson) return {};
+
+    try {
+      return JSON.parse(configJson);
+    } catch (e) {
+      console.error('Chatbot SDK: Invalid JSON in chatbot-config attribute', e);
+      return {};
+    }
   }
+
   async init() {
     this.initConfig();
+    await this.auth.getToken().catch(() => null);
     await this.loadConfig();
-    this.initSession();
+    if (this.destroyed) return;
+    await this.initSession();
+    this.resolveSessionReady();
+    if (this.destroyed) return;
     
     if (document.readyState === 'complete' || document.readyState === 'interactive') {
       this.createWidgetUI();
@@ -58,7 +165,7 @@ class ChatbotWidget {
     }
     
     // Fallback timeout
-    setTimeout(() => {
+    this.setTimer(() => {
       if (!this.elements.container) {
         console.warn('Fallback UI creation');
         this.createWidgetUI();
@@ -70,62 +177,467 @@ class ChatbotWidget {
     await this.loadAnnouncements();
   }
 
+  // Tears down the UI, timers and voice call of this instance
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
 
-//--------
+    this.stopAutoRefresh();
+    this.stopMessageCycle();
+    this.transport?.close();
+    this.timeouts.forEach(id => clearTimeout(id));
+    this.timeouts.clear();
+    this.activeRequests.forEach(controller => controller.abort());
+    this.activeRequests.clear();
+    window.removeEventListener('online', this.handleOnline);
+    this.watchColorScheme(false);
+
+    this.stopMicTest();
+    this.voiceCall.destroy();
+    this.voiceRecorder?.cancel();
+    this.stopSpeaking();
+
+    const mountedEl = this.elements.host || this.elements.container;
+    if (mountedEl) {
+      mountedEl.remove();
+    }
+    this.elements = {};
+
+    this.emit('destroy');
+    this.events.removeAll();
+
+    ChatbotWidget.instances = ChatbotWidget.instances.filter(instance => instance !== this);
+    if (window.ChatbotSDK === this) {
+      window.ChatbotSDK = null;
+    }
+  }
 
+  // --- Authentication ---
+  // Sets the user's token, e.g. after the host page logs in.
+  // Passing the user's ID binds the session to that user. The token is used
+  // right away; the session changes wait until the session has been loaded.
+  setAuthToken(token, { userId } = {}) {
+    this.auth.setToken(token);
+    return this.sessionReady.then(() => this.handleAuthChanged(userId));
+  }
 
+  // Sets an async function returning the current token; it is asked again on 401
+  async setTokenProvider(getToken, { userId } = {}) {
+    this.auth.setProvider(getToken);
+    await this.auth.getHeaders();
+    await this.sessionReady;
+    this.handleAuthChanged(userId);
+  }
 
+  handleAuthChanged(userId) {
+    if (this.destroyed || !this.auth.isAuthenticated()) return;
+    if (userId) this.setUserId(userId);
+    this.emit('auth:changed', { authenticated: true });
+    this.renderHomeActions();
+    this.renderTabs();
+    // Until the UI is built, createWidgetUI() runs the first sync
+    if (this.elements.container) this.syncHistory();
+
+    if (this.isOpen && this.isFirstLogIn) {
+      this.isFirstLogIn = false;
+      this.sendSuggestions();
+    }
+  }
 
-    //---------------------------- Configuration & Initialization ----------------------------//
-    // give the Configuration initial values from script tag and API
-  initConfig(apiConfig = {}) {
-    const scriptTag = document.querySelector('script[src*="chatbot.bundle.js"]');
-    let scriptConfig = {};
+  // Forgets the token and starts a fresh, anonymous session
+  async logout() {
+    this.auth.clear();
+    await this.sessionReady;
+    if (this.destroyed) return;
+    this.isFirstLogIn = true;
+    this.sessionMeta.userId = null;
+    this.clearSession();
+    this.renderHomeActions();
+    this.renderTabs();
+    this.emit('auth:changed', { authenticated: false });
+  }
 
-    if (scriptTag) {
-      const configJson = scriptTag.getAttribute('chatbot-config');
-      if (configJson) {
-        try {
-          scriptConfig = JSON.parse(configJson);
-        } catch (e) {
-          console.error('Chatbot SDK: Invalid JSON in chatbot-config attribute', e);
-        }
+  // --- Consent ---
+  // config.consent: { version, title, text, acceptLabel, declineLabel, required }.
+  // Texts may be strings or locale maps; text may also be an array of paragraphs.
+  getConsentConfig() {
+    const consent = this.config.consent;
+    if (consent === false) return null;
+    return { version: '1', required: true, ...(consent || {}) };
+  }
+
+  getConsentKey() {
+    return this.instanceId === 'default' ? 'chatbot_consent' : `chatbot_consent_${this.instanceId}`;
+  }
+
+  // Acceptance is stored with its version; a new version has to be accepted again
+  hasConsent() {
+    const consent = this.getConsentConfig();
+    if (!consent || consent.required === false) return true;
+    const record = this.consentRecord;
+    return Boolean(record && String(record.version) === String(consent.version));
+  }
+
+  renderConsent() {
+    const overlay = this.elements.termsOverlay;
+    const consent = this.getConsentConfig();
+    if (!overlay || !consent) return;
+
+    const text = (field, key) => (consent[field] ? localizeValue(consent[field], this.locale) : this.t(key));
+    overlay.querySelector('.chatbot-terms-title').textContent = text('title', 'terms.title');
+    overlay.querySelector('.chatbot-terms-accept').textContent = text('acceptLabel', 'terms.accept');
+    overlay.querySelector('.chatbot-terms-decline').textContent = text('declineLabel', 'terms.decline');
+
+    let paragraphs = consent.text && !Array.isArray(consent.text) && typeof consent.text === 'object'
+      ? consent.text[this.locale] ?? consent.text[this.locale.split(/[-_]/)[0]] ?? consent.text.en
+      : consent.text;
+    if (!paragraphs) paragraphs = [this.t('terms.text'), this.t('terms.notice')];
+    overlay.querySelector('.chatbot-terms-body').replaceChildren(...[].concat(paragraphs).map(paragraph => {
+      const element = document.createElement('div');
+      element.className = 'chatbot-terms-text';
+      element.textContent = paragraph;
+      return element;
+    }));
+  }
+
+  showConsent() {
+    if (!this.elements.termsOverlay) return;
+    this.elements.termsOverlay.style.display = 'flex';
+    if (this.currentTab !== 'chat') this.switchTab('chat');
+    if (this.isOpen) this.elements.termsOverlay.querySelector('.chatbot-terms-accept').focus();
+    if (!this.consentShown) {
+      this.consentShown = true;
+      this.reportConsent('shown');
+    }
+  }
+
+  // Runs the action now, or once the terms are accepted
+  queueUntilConsent(action) {
+    if (this.hasConsent()) {
+      action();
+      return;
+    }
+    this.consentQueue.push(action);
+  }
+
+  acceptConsent() {
+    const consent = this.getConsentConfig();
+    const record = { version: consent?.version ?? null, acceptedAt: new Date().toISOString() };
+    this.consentRecord = record;
+    this.storage.set(this.getConsentKey(), record);
+    if (this.elements.termsOverlay) this.elements.termsOverlay.style.display = 'none';
+
+    this.emit('consent:accepted', record);
+    this.reportConsent('accepted');
+
+    const queued = this.consentQueue;
+    this.consentQueue = [];
+    queued.forEach(action => action());
+  }
+
+  declineConsent() {
+    this.consentQueue = [];
+    this.emit('consent:declined', { version: this.getConsentConfig()?.version ?? null });
+    this.reportConsent('declined');
+    this.switchTab(this.getTabs()[0]?.id || 'home');
+  }
+
+  // Consent events go to the audit endpoint; a failed report never blocks the user
+  async reportConsent(event) {
+    const url = this.getConsentConfig()?.auditUrl || this.endpoints.chatbot.consent;
+    if (!url || this.config.consentAudit === false) return;
+
+    try {
+      const response = await this.auth.fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          event,
+          version: this.getConsentConfig()?.version ?? null,
+          session_id: this.sessionId,
+          user_id: this.sessionMeta.userId,
+          locale: this.locale,
+          timestamp: new Date().toISOString()
+        })
+      });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    } catch (error) {
+      console.error('Failed to report consent event:', error);
+      this.emit('error', { source: 'consent', error });
+    }
+  }
+
+  // --- PII Guard ---
+  // config.piiGuard: { mode: 'warn' | 'block' | 'off', rules, customRules, maskStored } or false
+  getPiiConfig() {
+    const guard = this.config.piiGuard;
+    if (guard === false) return { mode: 'off' };
+    return { mode: 'warn', maskStored: true, ...(guard || {}) };
+  }
+
+  detectPii(text) {
+    const config = this.getPiiConfig();
+    if (config.mode === 'off' || !text) return [];
+    return detectPii(text, { rules: config.rules, customRules: config.customRules });
+  }
+
+  // Payloads carry user input too, e.g. the values of a submitted form
+  getPiiText(text, payload) {
+    const payloadText = payload && typeof payload !== 'string' ? JSON.stringify(payload) : payload;
+    return [text, payloadText].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Checks text the user is about to send.
+   * @param {string} text - The outgoing text.
+   * @param {boolean} [confirmed] - The user was warned about this text and sends it anyway.
+   * @param {string} [source] - Where the text comes from ('chat', 'form'), for the event.
+   * @returns {{action: string, matches: object[]}} action is 'allow', 'warn' or 'block'.
+   */
+  checkPii(text, confirmed = false, source = 'chat') {
+    const matches = this.detectPii(text);
+    if (matches.length === 0) return { action: 'allow', matches };
+
+    const mode = this.getPiiConfig().mode;
+    const action = mode === 'block' ? 'block' : (confirmed ? 'allow' : 'warn');
+    this.emit('pii:detected', { types: [...new Set(matches.map(match => match.type))], action, source });
+    return { action, matches };
+  }
+
+  getPiiMessage({ action, matches }) {
+    const types = [...new Set(matches.map(match => match.type))]
+      .map(type => this.t(PII_TYPES.includes(type) ? `pii.type.${type}` : 'pii.type.custom'));
+    return this.t(action === 'block' ? 'pii.blocked' : 'pii.warning', { types: [...new Set(types)].join(', ') });
+  }
+
+  showPiiWarning(text) {
+    const inputArea = this.elements.inputField?.closest('.chatbot-input-area');
+    if (!inputArea) return;
+
+    if (!this.elements.piiWarning) {
+      const warning = document.createElement('div');
+      warning.className = 'chatbot-pii-warning';
+      warning.setAttribute('role', 'alert');
+      inputArea.before(warning);
+      this.elements.piiWarning = warning;
+    }
+    this.elements.piiWarning.textContent = text;
+  }
+
+  hidePiiWarning() {
+    this.piiWarningText = null;
+    this.elements.piiWarning?.remove();
+    this.elements.piiWarning = null;
+  }
+
+  // The stored transcript never keeps detected values in clear text
+  maskStoredMessage(message) {
+    if (this.getPiiConfig().maskStored === false || !message) return message;
+    const masked = { ...message };
+    let changed = false;
+
+    if (message.text) {
+      const matches = this.detectPii(message.text);
+      if (matches.length) {
+        masked.text = maskPii(message.text, matches);
+        changed = true;
       }
     }
+    if (message.payload && this.detectPii(this.getPiiText(null, message.payload)).length) {
+      // Only string payloads can be masked in place; others are not stored
+      if (typeof message.payload === 'string') {
+        masked.payload = maskPii(message.payload, this.detectPii(message.payload));
+      } else {
+        delete masked.payload;
+      }
+      changed = true;
+    }
+    return changed ? masked : message;
+  }
+
+  // --- Localization ---
+  // Translates a catalog key for the current locale; config.translations overrides the catalogs
+  t(key, params) {
+    return translate(this.locale, key, params, this.config.translations);
+  }
+
+  isRtl() {
+    return isRtlLocale(this.locale);
+  }
+
+  // Switches the UI language at runtime
+  setLocale(locale) {
+    const previousLocale = this.locale;
+    this.locale = locale || DEFAULT_LOCALE;
+    this.config.locale = this.locale;
+    if (this.locale === previousLocale) return;
+
+    if (this.elements.container) {
+      this.applyDirection();
+      this.applyTranslations();
+      this.updateCallButton();
+      this.updateCallPanel();
+      if (this.precall) this.refreshPrecall();
+      this.setVoiceMessageState(this.voiceMessageState);
+      this.renderAnnouncements();
+      this.renderUserNotifications();
+      this.renderConversation();
+    }
+    this.emit('locale:changed', { locale: this.locale, previousLocale, dir: this.isRtl() ? 'rtl' : 'ltr' });
+  }
+
+  // RTL locales mirror the widget: the launcher moves to the other side and the teaser follows it
+  getEffectivePosition() {
+    const position = this.config.position || 'bottom-right';
+    if (!this.isRtl() || this.config.mirrorPositionInRtl === false) return position;
+    return position.replace(/left|right/, side => (side === 'left' ? 'right' : 'left'));
+  }
+
+  applyDirection() {
+    const container = this.elements.container;
+    if (!container) return;
+
+    container.setAttribute('dir', this.isRtl() ? 'rtl' : 'ltr');
+    container.setAttribute('lang', this.locale);
+    Array.from(container.classList)
+      .filter(name => name.startsWith('chatbot-position-'))
+      .forEach(name => container.classList.remove(name));
+    container.classList.add(`chatbot-position-${this.getEffectivePosition()}`);
+
+    const teaser = this.elements.messageBubble;
+    if (teaser) {
+      const onLeft = this.getEffectivePosition().endsWith('left');
+      teaser.style.right = onLeft ? 'auto' : '90px';
+      teaser.style.left = onLeft ? '90px' : 'auto';
+      teaser.querySelector('.chatbot-teaser-arrow')?.replaceWith(this.createTeaserArrow());
+    }
+  }
+
+  // Refreshes every element marked with data-i18n (text), data-i18n-label (title and aria-label)
+  applyTranslations() {
+    const root = this.elements.window;
+    if (!root) return;
+
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(el => {
+      const label = this.t(el.dataset.i18nLabel);
+      el.title = label;
+      el.setAttribute('aria-label', label);
+    });
+    this.updateUIElements();
+  }
+
+  getTeaserMessages() {
+    const messages = this.config.teaserMessages || this.t('teaser.messages');
+    return Array.isArray(messages) ? messages : [];
+  }
+
+  // --- Events & Hooks ---
+  // Subscribes to a widget event; returns an unsubscribe function
+  on(event, handler) {
+    return this.events.on(event, handler);
+  }
+
+  off(event, handler) {
+    this.events.off(event, handler);
+  }
+
+  emit(event, detail) {
+    this.events.emit(event, detail);
+  }
+
+  // Registers a renderer for this instance only; see registerRenderer() in renderer.js
+  registerRenderer(type, renderer) {
+    return registerRenderer(type, renderer, this.renderers);
+  }
+
+  // Registers a beforeSend or beforeRender hook; returns a function that removes it
+  addHook(name, hook) {
+    if (!this.hooks[name]) throw new Error(`Chatbot SDK: unknown hook "${name}"`);
+    this.hooks[name].push(hook);
+    return () => this.removeHook(name, hook);
+  }
+
+  removeHook(name, hook) {
+    if (!this.hooks[name]) return;
+    this.hooks[name] = this.hooks[name].filter(h => h !== hook);
+  }
+
+  // Hooks from the config run before the ones added at runtime
+  getHooks(name) {
+    const configHook = this.config.hooks?.[name];
+    return [
+      ...(typeof configHook === 'function' ? [configHook] : []),
+      ...this.hooks[name]
+    ];
+  }
+
+  // setTimeout that is cleared when the instance is destroyed
+  setTimer(callback, delay) {
+    const id = setTimeout(() => {
+      this.timeouts.delete(id);
+      callback();
+    }, delay);
+    this.timeouts.add(id);
+    return id;
+  }
+
+  clearTimer(id) {
+    clearTimeout(id);
+    this.timeouts.delete(id);
+  }
 
+
+//--------
+
+
+
+
+    //---------------------------- Configuration & Initialization ----------------------------//
+    // give the Configuration initial values from the init options and API
+  initConfig(apiConfig = {}) {
     this.config = {
-      ...scriptConfig,
-      ...apiConfig
+      ...this.options,
+      ...ChatbotWidget.splitCredentials(apiConfig).options
     };
 
+    // Resolve the backend endpoints; explicit URLs in the config win
+    this.endpoints = buildEndpoints(this.config.apiBaseUrl, this.config.endpoints);
+
     // Apply defaults if not set
-    this.config.botUrl = endpoints.chatbot.chat;
-    this.config.startingUrl = endpoints.chatbot.start; // New endpoint for starting messages
-    this.config.announcementsUrl = endpoints.chatbot.news;
+    this.config.botUrl = this.config.botUrl || this.endpoints.chatbot.chat;
+    this.config.startingUrl = this.config.startingUrl || this.endpoints.chatbot.start; // New endpoint for starting messages
+    this.config.announcementsUrl = this.config.announcementsUrl || this.endpoints.chatbot.news;
+    this.config.configApiUrl = this.config.configApiUrl || this.endpoints.chatbot.config;
+    this.config.livekitUrl = this.config.livekitUrl || DEFAULT_LIVEKIT_URL;
+    this.transport = createTransport(this.config, this.endpoints, () => this.auth.getHeaders());
     this.config.themeColor = this.config.themeColor || '#020c15ff';
     //console.log('Theme color set to:', this.config.themeColor);
     this.config.position = this.config.position || 'bottom-right';
     this.config.botName = this.config.botName || 'Chatbot';
     console.log('botName:', this.config.botName);
-    this.config.inputPlaceholder = this.config.inputPlaceholder || 'Type your message...';
-    this.config.sendButtonText = this.config.sendButtonText || 'Send';
+    this.locale = this.config.locale || DEFAULT_LOCALE;
   }
   // Call API to get dynamic config and merge from the backend
   async loadConfig() {
-    if (endpoints.chatbot.config) {
+    if (this.config.configApiUrl) {
       try {
         this.log('Loading initial config from API');
-        const response = await fetch(`${endpoints.chatbot.config}?t=${Date.now()}`);
+        const response = await this.auth.fetch(`${this.config.configApiUrl}?t=${Date.now()}`);
         const apiConfig = await response.json();
         this.mergeConfigs(apiConfig);
         this.applyDynamicStyles();
       } catch (error) {
         this.log('Initial config load failed:', error);
+        this.emit('error', { source: 'config', error });
       }
     }
   }
   // merge old config with new config from API and override old values 
   mergeConfigs(newConfig) {
+    newConfig = ChatbotWidget.splitCredentials(newConfig).options;
     this.config = {
       ...this.config,
       ...newConfig,
@@ -139,15 +651,24 @@ class ChatbotWidget {
       }
     };
     this.log('Merged config:', this.config);
+    if (this.config.locale && this.config.locale !== this.locale) {
+      this.setLocale(this.config.locale);
+    }
   }
   // --- Dynamic Configuration ---
+  // Theme variables are scoped to the widget container so they never touch
+  // the host page and stay separate between instances
+  // The theme is applied first, so explicit style options win over theme tokens
   applyDynamicStyles() {
+    const root = this.elements.container;
+    if (!root) return;
+    this.applyTheme();
+
     if (!this.config.style) {
       this.log('No style configuration found');
       return;
     }
 
-    const root = document.documentElement;
     const { style } = this.config;
 
     if (style.themeColor) {
@@ -169,6 +690,10 @@ class ChatbotWidget {
       root.style.setProperty('--chatbot-bubble-color', style.bubble.color);
     }
 
+    if (style.bubble?.size) {
+      root.style.setProperty('--chatbot-bubble-size', style.bubble.size);
+    }
+
     if (style.messages?.userBubbleColor) {
       root.style.setProperty('--chatbot-user-bubble', style.messages.userBubbleColor);
     }
@@ -178,10 +703,67 @@ class ChatbotWidget {
     }
   }
 
+  // --- Theme ---
+  // config.theme: a mode, a preset name or { mode, preset, tokens, dark } (see src/themes.js)
+  getThemeState() {
+    return { ...this.themeState };
+  }
+
+  getColorScheme(theme) {
+    if (theme.mode !== 'auto') return theme.mode;
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+  }
+
+  applyTheme() {
+    const root = this.elements.container;
+    if (!root) return;
+
+    const theme = normalizeTheme(this.config.theme);
+    const scheme = this.getColorScheme(theme);
+    const tokens = resolveThemeTokens(theme, scheme);
+    if (tokens.themeColor && !tokens.themeColorHover) {
+      tokens.themeColorHover = this.adjustColor(tokens.themeColor, scheme === 'dark' ? 20 : -20);
+    }
+
+    // Variables of the previous theme are removed so that none of them linger
+    this.themeVariables.forEach(variable => root.style.removeProperty(variable));
+    this.themeVariables = Object.entries(tokens).map(([token, value]) => {
+      const variable = tokenToVariable(token);
+      root.style.setProperty(variable, value);
+      return variable;
+    });
+    root.dataset.theme = scheme;
+    root.dataset.themePreset = theme.preset;
+    this.themeState = { mode: theme.mode, preset: theme.preset, scheme };
+    this.watchColorScheme(theme.mode === 'auto');
+  }
+
+  // Auto mode follows the system setting while the page is open
+  watchColorScheme(enabled) {
+    if (enabled && !this.colorSchemeQuery && window.matchMedia) {
+      this.colorSchemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
+      this.colorSchemeQuery.addEventListener?.('change', this.handleColorSchemeChange);
+    } else if (!enabled && this.colorSchemeQuery) {
+      this.colorSchemeQuery.removeEventListener?.('change', this.handleColorSchemeChange);
+      this.colorSchemeQuery = null;
+    }
+  }
+
+  /**
+   * Switches the theme without rebuilding the UI.
+   * @param {string|object} theme - A mode ('light', 'dark', 'auto'), a preset name or
+   *   { mode, preset, tokens, dark }.
+   */
+  setTheme(theme) {
+    this.config.theme = theme;
+    this.applyDynamicStyles();
+    this.emit('theme:changed', this.getThemeState());
+  }
+
   async refreshConfig() {
     try {
       this.log('Refreshing configuration...');
-      const response = await fetch(`${this.config.configApiUrl}?t=${Date.now()}`);
+      const response = await this.auth.fetch(`${this.config.configApiUrl}?t=${Date.now()}`);
       const newConfig = await response.json();
       this.mergeConfigs(newConfig);
       this.applyDynamicStyles();
@@ -197,13 +779,230 @@ class ChatbotWidget {
 //------------------------------------------------------------------------//
 
     // --- Session Management ---
-  initSession() {
-    this.sessionId = getLocalStorageItem('chatbot_session_id');
-    if (!this.sessionId) {
-      this.sessionId = generateUniqueId();
-      setLocalStorageItem('chatbot_session_id', this.sessionId);
+  getSessionKey() {
+    return this.instanceId === 'default'
+      ? 'chatbot_session_id'
+      : `chatbot_session_id_${this.instanceId}`;
+  }
+
+  // config.storage: { type: 'local' | 'session' | 'indexeddb' | 'memory', encrypt, encryptionSecret, retentionDays }
+  createStorage() {
+    const storage = this.config.storage || {};
+    return new WidgetStorage({
+      ...storage,
+      encryptionSecret: this.storageSecret,
+      keyName: this.instanceId,
+      onError: (error, key) => {
+        // e.g. the quota is exceeded or the value cannot be encrypted
+        console.warn(`Chatbot SDK: could not write "${key}" to storage`, error);
+        this.emit('error', { source: 'storage', key, error });
+      }
+    });
+  }
+
+  async initSession() {
+    this.storage = this.createStorage();
+    const purged = await this.storage.purgeExpired('chatbot_');
+    if (purged.length) this.log(`Purged ${purged.length} expired storage entries`);
+
+    const sessionKey = this.getSessionKey();
+    this.consentRecord = await this.storage.get(this.getConsentKey());
+    this.sessionId = await this.storage.get(sessionKey);
+    this.sessionMeta = await this.storage.get(`${sessionKey}_meta`) || { createdAt: Date.now(), lastActiveAt: Date.now(), userId: null };
+
+    const expiredReason = this.sessionId ? this.getSessionExpiry() : null;
+    if (expiredReason) {
+      this.log(`Session ${expiredReason}, starting a new one`);
+      this.removeStoredConversation();
+    }
+    if (!this.sessionId || expiredReason) {
+      this.startNewSession();
+    } else {
+      this.saveSessionMeta();
+    }
+
+    this.messages = await this.storage.get(`chatbot_conversation_${this.sessionId}`) || [];
+    this.outbox = await this.storage.get(`chatbot_outbox_${this.sessionId}`) || [];
+
+    // A message still marked as sending was interrupted by a page unload
+    this.messages.forEach(message => {
+      if (message.status === 'sending') {
+        message.status = this.outbox.some(entry => entry.id === message.id) ? 'queued' : 'failed';
+      }
+    });
+
+    window.addEventListener('online', this.handleOnline);
+    if (this.outbox.length > 0) this.setTimer(() => this.flushOutbox(), 0);
+
+    if (this.options.userId) this.setUserId(this.options.userId);
+    this.scheduleSessionExpiry();
+  }
+
+  // --- Session Lifecycle ---
+  // Adds the session ID to GET endpoints, the way chat and voice requests carry it in the body
+  withSessionId(url) {
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}session_id=${encodeURIComponent(this.sessionId)}`;
+  }
+
+  // Returns 'expired' or 'idle' when the stored session may no longer be used
+  getSessionExpiry(now = Date.now()) {
+    const { sessionTtl, sessionIdleTimeout } = this.config;
+    if (sessionTtl > 0 && now - this.sessionMeta.createdAt >= sessionTtl) return 'expired';
+    if (sessionIdleTimeout > 0 && now - this.sessionMeta.lastActiveAt >= sessionIdleTimeout) return 'idle';
+    return null;
+  }
+
+  startNewSession() {
+    const now = Date.now();
+    this.sessionId = generateUniqueId();
+    this.sessionMeta = { createdAt: now, lastActiveAt: now, userId: this.sessionMeta?.userId ?? null };
+    this.saveSession();
+  }
+
+  saveSession() {
+    this.storage.set(this.getSessionKey(), this.sessionId);
+    this.saveSessionMeta();
+  }
+
+  saveSessionMeta() {
+    this.storage.set(`${this.getSessionKey()}_meta`, this.sessionMeta);
+  }
+
+  // Records user activity, which restarts the idle timeout
+  touchSession() {
+    this.sessionMeta.lastActiveAt = Date.now();
+    this.saveSessionMeta();
+    this.scheduleSessionExpiry();
+  }
+
+  scheduleSessionExpiry() {
+    this.clearTimer(this.sessionTimer);
+    this.sessionTimer = null;
+
+    const { sessionTtl, sessionIdleTimeout } = this.config;
+    const now = Date.now();
+    const deadlines = [];
+    if (sessionTtl > 0) deadlines.push(this.sessionMeta.createdAt + sessionTtl);
+    if (sessionIdleTimeout > 0) deadlines.push(this.sessionMeta.lastActiveAt + sessionIdleTimeout);
+    if (!deadlines.length) return;
+
+    this.sessionTimer = this.setTimer(() => {
+      const reason = this.getSessionExpiry();
+      if (reason) {
+        this.resetConversation({ reason });
+      } else {
+        this.scheduleSessionExpiry();
+      }
+    }, Math.max(0, Math.min(...deadlines) - now));
+  }
+
+  // Binds the session to a user. An anonymous conversation is kept for the user
+  // who logs in (unless migrateAnonymousSession is false); another user's is dropped.
+  setUserId(userId) {
+    const previousUserId = this.sessionMeta.userId;
+    if (!userId || userId === previousUserId) return;
+
+    const keepConversation = !previousUserId && this.config.migrateAnonymousSession !== false;
+    this.sessionMeta.userId = userId;
+    if (keepConversation) {
+      this.saveSessionMeta();
+    } else {
+      this.clearSession();
+    }
+    this.emit('session:user-changed', { userId, previousUserId, migrated: keepConversation });
+  }
+
+  /**
+   * Starts a new conversation: the stored messages and outbox are dropped and a
+   * new session ID is used from now on.
+   * @param {object} [options]
+   * @param {string} [options.reason] - Why the conversation was reset, passed to 'session:reset'.
+   */
+  resetConversation({ reason = 'user' } = {}) {
+    const previousSessionId = this.sessionId;
+    this.clearSession();
+    this.emit('session:reset', { reason, previousSessionId, sessionId: this.sessionId });
+  }
+
+  // Only the newest messages are kept locally; older ones come back from the server history
+  saveConversation() {
+    const maxStored = this.config.maxStoredMessages ?? 200;
+    const stored = maxStored > 0 ? this.messages.slice(-maxStored) : this.messages;
+    // Retention counts from each key's last write, so the session keys are
+    // written with the transcript and expire together with it
+    this.saveSession();
+    // Conversation keys are derived from the session ID, so each session is encrypted separately
+    this.storage.set(`chatbot_conversation_${this.sessionId}`, stored.map(message => this.maskStoredMessage(message)), this.sessionId);
+  }
+
+  removeStoredConversation() {
+    this.storage.remove(`chatbot_conversation_${this.sessionId}`);
+    this.storage.remove(`chatbot_outbox_${this.sessionId}`);
+  }
+
+  // Drops the stored conversation and outbox and switches to a new session ID
+  clearSession() {
+    this.removeStoredConversation();
+    this.startNewSession();
+    this.scheduleSessionExpiry();
+    this.messages = [];
+    this.outbox = [];
+    this.history = { cursor: null, hasMore: false, loading: false, synced: false };
+    this.renderConversation();
+  }
+
+  // --- Offline Outbox ---
+  // Undelivered requests are kept in order, keyed by their client message ID
+  // Requests with sensitive data are kept in memory only; after a reload they show as failed
+  saveOutbox() {
+    const persisted = this.outbox.filter(entry => {
+      const text = this.getPiiText(entry.request?.message, entry.request?.customData?.payload);
+      return this.detectPii(text).length === 0;
+    });
+    this.storage.set(`chatbot_outbox_${this.sessionId}`, persisted, this.sessionId);
+  }
+
+  enqueueOutbox(userMessage, requestBody) {
+    const id = requestBody.message_id;
+    if (!this.outbox.some(entry => entry.id === id)) {
+      this.outbox.push({ id, request: requestBody });
+      this.saveOutbox();
+    }
+    if (userMessage) this.setMessageStatus(userMessage, 'queued');
+  }
+
+  removeFromOutbox(id) {
+    const remaining = this.outbox.filter(entry => entry.id !== id);
+    if (remaining.length !== this.outbox.length) {
+      this.outbox = remaining;
+      this.saveOutbox();
+    }
+  }
+
+  // Sends queued messages in order; stops at the first one that is still undeliverable
+  async flushOutbox() {
+    if (this.flushingOutbox || this.destroyed || navigator.onLine === false) return;
+    this.flushingOutbox = true;
+
+    try {
+      while (this.outbox.length > 0) {
+        const entry = this.outbox[0];
+        const message = this.messages.find(m => m.id === entry.id);
+        await this.deliverMessage(message, entry.request, { fromOutbox: true });
+        if (this.outbox[0] === entry) break;
+      }
+    } finally {
+      this.flushingOutbox = false;
     }
-    this.messages = getLocalStorageItem(`chatbot_conversation_${this.sessionId}`) || [];
+  }
+
+  scheduleOutboxFlush() {
+    if (this.outboxTimer) return;
+    this.outboxTimer = this.setTimer(() => {
+      this.outboxTimer = null;
+      this.flushOutbox();
+    }, this.config.outboxRetryInterval || 30000);
   }
 
   startMessageCycle() {
@@ -220,6 +1019,9 @@ class ChatbotWidget {
     
     // Show first message immediately
     this.showNextMessage();
+
+    // With reduced motion the first message stays instead of rotating
+    if (prefersReducedMotion()) return;
     
     // Set interval to show next message every 5 seconds
     this.messageInterval = setInterval(() => {
@@ -239,26 +1041,34 @@ class ChatbotWidget {
     this.elements.messageBubble.style.opacity = '0';
     this.elements.messageBubble.style.transform = 'translateY(-50%) translateX(20px) scale(0.8)';
     
-    setTimeout(() => {
+    this.setTimer(() => {
       // Update message text
-      this.elements.messageBubble.innerHTML = `
-        <span>${this.notifications[this.currentMessageIndex]}</span>
-        <div style="position: absolute; top: 50%; right: -8px; transform: translateY(-50%); width: 0; height: 0; border-left: 8px solid white; border-top: 8px solid transparent; border-bottom: 8px solid transparent;"></div>
-      `;
+      const messages = this.getTeaserMessages();
+      if (messages.length === 0) return;
+      this.currentMessageIndex %= messages.length;
+
+      const text = document.createElement('span');
+      text.textContent = messages[this.currentMessageIndex];
+      this.elements.messageBubble.replaceChildren(text, this.createTeaserArrow());
       
       // Show message with animation
       this.elements.messageBubble.style.opacity = '1';
       this.elements.messageBubble.style.transform = 'translateY(-50%) translateX(0) scale(1)';
       
       // Move to next message for the NEXT call
-      this.currentMessageIndex = (this.currentMessageIndex + 1) % this.notifications.length;
-      
-      // Debug: Log current message index
-      console.log('Showing message:', this.currentMessageIndex - 1 < 0 ? this.notifications.length - 1 : this.currentMessageIndex - 1);
+      this.currentMessageIndex = (this.currentMessageIndex + 1) % messages.length;
       
     }, 400);
   }
 
+  // The arrow points at the launcher, so it flips when the teaser sits on its right
+  createTeaserArrow() {
+    const arrow = document.createElement('div');
+    arrow.className = 'chatbot-teaser-arrow';
+    arrow.classList.toggle('chatbot-teaser-arrow-left', this.getEffectivePosition().endsWith('left'));
+    return arrow;
+  }
+
   stopMessageCycle() {
     if (this.messageInterval) {
       clearInterval(this.messageInterval);
@@ -276,6 +1086,11 @@ class ChatbotWidget {
     if (this.debug) console.log('[Chatbot]', ...args);
   }
 
+  // Options for the markdown renderer and HTML sanitizer
+  getSanitizerOptions() {
+    return { allowedProtocols: this.config.allowedLinkProtocols };
+  }
+
 
 
 
@@ -283,7 +1098,7 @@ class ChatbotWidget {
   // --- Announcements Management ---
   async loadAnnouncements() {
     try {
-      const response = await fetch(this.config.announcementsUrl, {
+      const response = await this.auth.fetch(this.config.announcementsUrl, {
         method: 'GET',
         headers: { 'Content-Type': 'application/json' }
       });
@@ -295,6 +1110,7 @@ class ChatbotWidget {
       }
     } catch (error) {
       console.error('Failed to load announcements:', error);
+      this.emit('error', { source: 'announcements', error });
     }
   }
 
@@ -313,7 +1129,7 @@ class ChatbotWidget {
     container.innerHTML = `
       <div class="chatbot-announcements-empty">
         <div class="chatbot-announcements-empty-icon">📢</div>
-        <p>No announcements available at the moment.</p>
+        <p>${escapeHtml(this.t('announcements.empty'))}</p>
       </div>
     `;
     return;
@@ -324,20 +1140,35 @@ class ChatbotWidget {
     card.className = 'chatbot-announcement-card';
     card.style.animationDelay = `${index * 0.1}s`;
 
-    const imageSection = announcement.image 
-      ? `<div class="chatbot-announcement-image" style="background-image: url('${announcement.image}')"></div>`
-      : `<div class="chatbot-announcement-image chatbot-announcement-default-icon">📢</div>`;
+    const sanitizerOptions = this.getSanitizerOptions();
+    const imageUrl = announcement.image && sanitizeUrl(announcement.image, sanitizerOptions.allowedProtocols, true);
 
-    card.innerHTML = `
-    
-      ${imageSection}
-      <div class="chatbot-announcement-content">
-        <div class="chatbot-announcement-title">${announcement.text || 'Announcement'}</div>
-        <div class="chatbot-announcement-description">${announcement.description || ''}</div>
-        <div class="chatbot-announcement-date">${this.formatDate(announcement.date)}</div>
-      </div>
-    `;
+    const image = document.createElement('div');
+    image.className = 'chatbot-announcement-image';
+    if (imageUrl) {
+      image.style.backgroundImage = `url("${encodeURI(imageUrl).replace(/"/g, '%22')}")`;
+    } else {
+      image.classList.add('chatbot-announcement-default-icon');
+      image.textContent = '📢';
+    }
+
+    const content = document.createElement('div');
+    content.className = 'chatbot-announcement-content';
 
+    const title = document.createElement('div');
+    title.className = 'chatbot-announcement-title';
+    setSafeHTML(title, announcement.text || this.t('announcements.title'), sanitizerOptions);
+
+    const description = document.createElement('div');
+    description.className = 'chatbot-announcement-description';
+    setSafeHTML(description, announcement.description || '', sanitizerOptions);
+
+    const date = document.createElement('div');
+    date.className = 'chatbot-announcement-date';
+    date.textContent = this.formatDate(announcement.date);
+
+    content.append(title, description, date);
+    card.append(image, content);
     container.appendChild(card);
   });
 }
@@ -345,7 +1176,7 @@ class ChatbotWidget {
     if (!dateString) return '';
     try {
       const date = new Date(dateString);
-      return date.toLocaleDateString('en-US', { 
+      return date.toLocaleDateString(this.locale, { 
         year: 'numeric', 
         month: 'short', 
         day: 'numeric' 
@@ -359,274 +1190,424 @@ class ChatbotWidget {
 
   adjustColor(color, amount) {
     return '#' + color.replace(/^#/, '').replace(/../g, colorHex => 
-      ('0' + Math.min(255, Math.max(0, parseInt(colorHex, 16) + amount)).toString(16)).slice(-6));
+      ('0' + Math.min(255, Math.max(0, parseInt(colorHex, 16) + amount)).toString(16)).slice(-2));
   }
 
-  async getVoiceToken(identity, name) {
-    try {
-      const response = await fetch(endpoints.chatbot.voice_agent_token, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ identity, name })
-      });
+  // --- Voice Call ---
+  // The controller owns the call; the widget only mirrors its state on the call cards
+  createVoiceCall() {
+    const call = new VoiceCallController({
+      getUrl: () => this.config.livekitUrl,
+      getToken: ({ identity, name }) => this.getVoiceToken(identity, name),
+      getIdentity: () => this.getCallIdentity(),
+      startAgent: ({ room, language }) => this.startVoiceAgent(room, language),
+      getAudioContainer: () => this.elements.container || document.body
+    });
 
-      if (response.ok) {
-        const { room, token } = await response.json();
-        return { room, token };
-      } else {
-        console.error("Server returned an error:", response.status);
-        return null;
-      }
-    } catch (error) {
-      console.error("Failed to load user token:", error);
-      return null;
-    }
+    call.on('state', (detail) => {
+      this.updateCallButton();
+      this.updateCallPanel();
+      if (!call.isActive()) this.clearVoiceInterims();
+      this.emit('call:state', detail);
+    });
+    call.on('mute', (detail) => {
+      this.updateCallPanel();
+      this.emit('call:mute', detail);
+    });
+    call.on('hold', (detail) => {
+      this.updateCallPanel();
+      this.emit('call:hold', detail);
+    });
+    call.on('speakers', (speakers) => this.updateCallSpeakers(speakers));
+    call.on('transcript', (segment) => this.handleVoiceTranscript(segment));
+    call.on('connected', (detail) => this.emit('call:connected', detail));
+    call.on('ended', (detail) => this.emit('call:ended', detail));
+    call.on('failed', ({ error, stage, step, code }) => {
+      console.error('Error starting voice call:', error);
+      this.emit('error', { source: 'call', stage, step, code, error });
+      this.openPrecall({ error: code });
+    });
+    return call;
   }
-  
-  // --- UI Management ---
-async createWidgetUI() {
-  console.log('Creating widget UI...');
-  console.log('Config:', this.config);
- 
-  const container = document.createElement('div');
-  container.id = 'chatbot-widget-container';
-  console.log('Container created:', container);
 
-  container.classList.add(`chatbot-position-${this.config.position}`);
-  container.style.display = 'none';
-  container.style.opacity = '0';
+  // The logged-in user's ID, or an ID derived from the session for guests
+  getCallIdentity() {
+    const userId = this.sessionMeta?.userId;
+    return {
+      identity: userId ? String(userId) : `guest-${this.sessionId}`,
+      name: this.config.userName || (userId ? String(userId) : 'Guest')
+    };
+  }
 
-  document.body.appendChild(container);
-  this.elements.container = container;
+  startVoiceCall() {
+    return this.voiceCall.start({
+      language: this.callLanguage,
+      inputDeviceId: this.callDevices.input,
+      outputDeviceId: this.callDevices.output
+    });
+  }
 
-  // Voice call state management
-  this.voiceCallState = {
-    room: null,
-    isConnected: false,
-    isConnecting: false,
-    localParticipant: null,
-    audioContext: null,
-    oscillator: null,
-    selectedLanguage: 'en' 
-  };
+  endVoiceCall() {
+    return this.voiceCall.end();
+  }
 
-  // Create loading sound using Web Audio API
-this.createLoadingSound = () => {
-  const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-  const oscillator = audioContext.createOscillator();
-  const gainNode = audioContext.createGain();
+  async startVoiceAgent(room, language) {
+    const response = await this.auth.fetch(this.endpoints.chatbot.start_agent, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        room_name: room,
+        session_id: this.sessionId,
+        language
+      })
+    });
+    if (!response.ok) throw new Error(`Could not start the voice agent (${response.status})`);
+  }
 
-  oscillator.connect(gainNode);
-  gainNode.connect(audioContext.destination);
+  // Update the appearance of every call action card
+  updateCallButton() {
+    this.elements.window?.querySelectorAll('.chatbot-action-card[data-action-type="call"]')
+      .forEach(callButton => this.updateCallCard(callButton));
+  }
 
-  oscillator.type = 'sine';
-  oscillator.frequency.setValueAtTime(440, audioContext.currentTime); // A4 tone (pleasant mid pitch)
+  updateCallCard(callButton) {
+    const callIcon = callButton.querySelector('.chatbot-action-icon');
+    const callTitle = callButton.querySelector('.chatbot-action-title');
+    const callDesc = callButton.querySelector('.chatbot-action-desc');
+    const pending = this.voiceCall.isPending();
+    const connected = this.voiceCall.state === 'connected';
 
-  const ringDuration = 1.2; // seconds for each ring tone
-  const silenceDuration = 2.0; // seconds of silence between rings
-  const totalDuration = ringDuration + silenceDuration;
+    callButton.classList.toggle('chatbot-call-connecting', pending);
+    callButton.classList.toggle('chatbot-call-active', connected);
 
-  const scheduleRing = () => {
-    if (!this.voiceCallState.isConnecting) return;
+    if (pending) {
+      callIcon.textContent = '⏳';
+      callTitle.textContent = this.t('actions.call.connectingTitle');
+      callDesc.textContent = this.t('actions.call.connectingDesc');
+    } else if (connected) {
+      callIcon.textContent = '📞';
+      callTitle.textContent = this.t('actions.call.endTitle');
+      callDesc.textContent = this.t('actions.call.endDesc');
+    } else {
+      // Idle: the card shows the action's own icon and texts again
+      const action = this.getHomeAction(callButton.dataset.action);
+      if (action) this.fillActionCard(callButton, action);
+    }
+  }
 
-    const now = audioContext.currentTime;
+  // --- Voice Transcripts ---
+  // Interim segments are updated in place; the final text is saved like any other message
+  handleVoiceTranscript({ id, speaker, text, final, language }) {
+    if (!this.elements.messagesContainer) return;
+    const messageId = `voice-${id}`;
+    const sender = speaker === 'user' ? 'user' : 'bot';
 
-    // Smooth fade-in and fade-out for luxury effect
-    gainNode.gain.cancelScheduledValues(now);
-    gainNode.gain.setValueAtTime(0, now);
-    gainNode.gain.linearRampToValueAtTime(0.4, now + 0.1); // fade in
-    gainNode.gain.linearRampToValueAtTime(0.4, now + ringDuration - 0.2);
-    gainNode.gain.linearRampToValueAtTime(0, now + ringDuration); // fade out
+    if (!final) {
+      this.updateVoiceInterim(messageId, sender, text);
+      return;
+    }
 
-    // Loop again
-    setTimeout(scheduleRing, totalDuration * 1000);
-  };
+    this.removeVoiceInterim(messageId);
+    if (this.messages.some(message => message.id === messageId)) return;
+    const message = this.displayMessage({ id: messageId, sender, text, source: 'voice', language });
+    if (message) this.emit('call:transcript', { message });
+  }
+
+  updateVoiceInterim(messageId, sender, text) {
+    let element = this.voiceInterims.get(messageId);
+    if (!element) {
+      element = document.createElement('div');
+      element.classList.add('chatbot-message', sender, 'streaming', 'voice', 'interim');
+      // Only the final text is announced by the message log
+      element.setAttribute('aria-hidden', 'true');
+      element.append(this.createVoiceLabel(), document.createElement('div'));
+      this.voiceInterims.set(messageId, element);
+      this.elements.messagesContainer.appendChild(element);
+      if (this.elements.typingIndicator) {
+        this.elements.messagesContainer.appendChild(this.elements.typingIndicator);
+      }
+    }
+    element.lastChild.textContent = text;
+    this.scrollToBottom();
+  }
 
-  scheduleRing();
-  oscillator.start();
+  removeVoiceInterim(messageId) {
+    this.voiceInterims.get(messageId)?.remove();
+    this.voiceInterims.delete(messageId);
+  }
 
-  return { audioContext, oscillator, gainNode };
-};
+  // Segments that never became final are dropped when the call ends
+  clearVoiceInterims() {
+    this.voiceInterims.forEach(element => element.remove());
+    this.voiceInterims.clear();
+  }
 
+  createVoiceLabel() {
+    const label = document.createElement('span');
+    label.className = 'chatbot-message-voice-label';
+    label.textContent = `🎙️ ${this.t('chat.voiceLabel')}`;
+    return label;
+  }
 
-  // Stop loading sound
-  this.stopLoadingSound = (soundObjects) => {
-    if (soundObjects) {
-      soundObjects.oscillator.stop();
-      soundObjects.audioContext.close();
+  // --- Call Panel ---
+  // Shown above the tabs for as long as a call is active
+  updateCallPanel() {
+    const panel = this.elements.callPanel;
+    if (!panel) return;
+
+    const call = this.voiceCall;
+    const active = call.isActive();
+    const precallOpen = Boolean(this.precall) && !active;
+    panel.hidden = !active && !precallOpen;
+    this.elements.precall.hidden = !precallOpen;
+    this.elements.callLive.hidden = !active;
+    if (!active) {
+      this.stopCallMeters();
+      this.updateCallSpeakers({ user: false, agent: false });
+      return;
     }
-  };
 
-  // Initialize LiveKit Room
-  this.initializeVoiceCall = async () => {
-    if (this.voiceCallState.room) return;
+    // There is nothing to mute until the microphone is published
+    const controllable = !['requesting-mic', 'connecting'].includes(call.state);
+    panel.classList.toggle('chatbot-call-on-hold', call.onHold);
+    this.elements.callStatus.textContent = this.t(call.onHold ? 'call.state.onHold' : `call.state.${call.state}`);
+    this.setCallControl(this.elements.callMuteButton, call.muted, call.muted ? 'call.unmute' : 'call.mute', controllable);
+    this.setCallControl(this.elements.callHoldButton, call.onHold, call.onHold ? 'call.resume' : 'call.hold', controllable);
+    this.renderCallMeters();
+    this.startCallMeters();
+  }
 
-    const handleTrackSubscribed = (track, publication, participant) => {
-        if (track.kind === Track.Kind.Audio) {
-          const element = track.attach();
-          element.autoplay = true;
-          console.log('Track subscribed:', track.kind, participant.identity);
-          container.appendChild(element);
-          
-          // Stop loading sound when agent's audio track is received
-          if (this.voiceCallState.loadingSoundObjects && participant.identity !== 'user1') {
-            this.stopLoadingSound(this.voiceCallState.loadingSoundObjects);
-            this.voiceCallState.loadingSoundObjects = null;
-            this.voiceCallState.isConnecting = false;
-            this.updateCallButton();
-          }
-        }
-        
-        if (track.kind === Track.Kind.Video) {
-          const element = track.attach();
-          element.autoplay = true;
-          console.log('Video track subscribed:', participant.identity);
-          container.appendChild(element);
-        }
-      };
+  // --- Pre-call Check ---
+  // Shown before a call and after a failed one; error is a code from callDiagnostics.js
+  async openPrecall({ error = null } = {}) {
+    this.stopMicTest();
+    this.precall = { error, status: null, test: null };
+    this.renderPrecallText();
+    this.updateCallPanel();
+    this.elements.precallStart?.focus();
+    await this.refreshPrecall();
+  }
 
-    function handleTrackUnsubscribed(track) {
-      track.detach();
-    }
+  closePrecall() {
+    this.stopMicTest();
+    this.precall = null;
+    this.updateCallPanel();
+  }
 
-    function handleLocalTrackUnpublished(publication) {
-      publication.track.detach();
-    }
+  async refreshPrecall() {
+    const precall = this.precall;
+    const [permission, devices] = await Promise.all([
+      getMicrophonePermission(),
+      listAudioDevices().catch(() => ({ inputs: [], outputs: [] }))
+    ]);
+    if (this.destroyed || this.precall !== precall) return;
 
-    function handleActiveSpeakerChange(speakers) {
-      // UI indicators when participant is speaking
+    if (!precall.status || precall.status.startsWith('call.precheck.permission.')) {
+      precall.status = `call.precheck.permission.${permission}`;
     }
+    if (!precall.error && permission === 'denied') precall.error = 'permission-denied';
+    if (!precall.error && permission === 'granted' && devices.inputs.length === 0) precall.error = 'no-device';
+
+    // A call can fail before the panel is built; it is filled in once the UI exists
+    if (this.elements.precall) {
+      this.fillDeviceSelect(this.elements.precallInput, devices.inputs, 'input');
+      this.fillDeviceSelect(this.elements.precallOutput, devices.outputs, 'output');
+      this.elements.precallOutputField.hidden = !canSelectAudioOutput() || devices.outputs.length === 0;
+    }
+    this.renderPrecallText();
+    this.emit('call:precheck', { permission, inputs: devices.inputs, outputs: devices.outputs, error: precall.error });
+  }
 
-    const handleDisconnect = () => {
-      console.log('disconnected from room');
-      this.voiceCallState.isConnected = false;
-      this.voiceCallState.isConnecting = false;
-      this.updateCallButton();
-    };
-
-    const token = await this.getVoiceToken('user1', 'Hazem');
-    const room = new Room({
-      adaptiveStream: true,
-      dynacast: true,
-    });
-
-    room
-      .on(RoomEvent.TrackSubscribed, handleTrackSubscribed)
-      .on(RoomEvent.TrackUnsubscribed, handleTrackUnsubscribed)
-      .on(RoomEvent.ActiveSpeakersChanged, handleActiveSpeakerChange)
-      .on(RoomEvent.Disconnected, handleDisconnect)
-      .on(RoomEvent.LocalTrackUnpublished, handleLocalTrackUnpublished);
+  renderPrecallText() {
+    const precall = this.precall;
+    if (!precall || !this.elements.precall) return;
+    this.elements.precallStatus.textContent = precall.status ? this.t(precall.status) : '';
+    this.elements.precallError.textContent = precall.error ? this.t(`call.error.${precall.error}`) : '';
+    this.elements.precallError.hidden = !precall.error;
+  }
 
-    this.voiceCallState.room = room;
-    return room;
-  };
-  // Start voice call
-  this.startVoiceCall = async () => {
-    if (this.voiceCallState.isConnected || this.voiceCallState.isConnecting) return;
+  fillDeviceSelect(select, devices, kind) {
+    const options = [
+      { deviceId: '', label: this.t('call.precheck.defaultDevice') },
+      ...devices.map((device, index) => ({
+        deviceId: device.deviceId,
+        label: device.label || this.t('call.precheck.deviceFallback', { number: index + 1 })
+      }))
+    ];
+    select.replaceChildren(...options.map(({ deviceId, label }) => {
+      const option = document.createElement('option');
+      option.value = deviceId;
+      option.textContent = label;
+      return option;
+    }));
+
+    // A device that was unplugged falls back to the default one
+    const selected = this.callDevices[kind];
+    select.value = options.some(option => option.deviceId === selected) ? selected : '';
+    this.callDevices[kind] = select.value;
+  }
 
-    this.voiceCallState.isConnecting = true;
-    this.updateCallButton();
+  async runMicTest() {
+    const precall = this.precall;
+    if (!precall || precall.test) return;
 
-    // Start loading sound and store reference
-    const soundObjects = this.createLoadingSound();
-    this.voiceCallState.loadingSoundObjects = soundObjects;
+    const controller = new AbortController();
+    precall.test = controller;
+    precall.error = null;
+    this.renderPrecallText();
+    this.setMicTestState(true);
 
     try {
-      if (!this.voiceCallState.room) {
-        console.log('Initializing voice call room...');
-        await this.initializeVoiceCall();
-      }
-      let { room, token } = await this.getVoiceToken("user1", "Hazem");
-      
-      await this.voiceCallState.room.connect('wss://finovax.duckdns.org', token);
-      console.log('Connected to room', this.voiceCallState.room.name);
-      console.log('language selected:', this.voiceCallState.selectedLanguage);
-      await fetch(endpoints.chatbot.start_agent, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          room_name: room,
-          language: this.voiceCallState.selectedLanguage
-        })
+      const { peak } = await testMicrophone({
+        deviceId: this.callDevices.input,
+        signal: controller.signal,
+        onLevel: (level) => this.elements.precallLevel?.style.setProperty('--chatbot-call-level', level.toFixed(2))
       });
-      
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      const audioTrack = stream.getAudioTracks()[0];
+      if (controller.signal.aborted) return;
+      precall.status = 'call.precheck.testPassed';
+      // A level this low means the microphone is muted or not picking anything up
+      if (peak !== null && peak < 0.02) precall.error = 'silent';
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      precall.error = classifyCallError(error, 'microphone');
+      precall.status = null;
+      this.emit('error', { source: 'call', step: 'microphone', code: precall.error, error });
+    }
 
-      this.voiceCallState.localParticipant = this.voiceCallState.room.localParticipant;
-      const pub = await this.voiceCallState.localParticipant.publishTrack(audioTrack, {
-        name: 'microphone',
-        source: Track.Source.Microphone,
-      });
+    precall.test = null;
+    this.setMicTestState(false);
+    // Device labels become available once the microphone was allowed
+    await this.refreshPrecall();
+  }
 
-      console.log('Microphone published:', pub);
-      this.voiceCallState.isConnected = true;
-        
+  stopMicTest() {
+    const test = this.precall?.test;
+    if (!test) return;
+    test.abort();
+    this.precall.test = null;
+    this.setMicTestState(false);
+  }
 
+  setMicTestState(testing) {
+    const button = this.elements.precallTestButton;
+    if (!button) return;
+    button.disabled = testing;
+    button.textContent = this.t(testing ? 'call.precheck.testing' : 'call.precheck.test');
+    if (!testing) this.elements.precallLevel.style.setProperty('--chatbot-call-level', '0');
+  }
 
-      } catch (err) {
-        console.error('Error starting voice call:', err);
-        this.stopLoadingSound(soundObjects);
-        this.voiceCallState.loadingSoundObjects = null;
-        this.voiceCallState.isConnecting = false;
-        this.updateCallButton();
-        alert('Failed to start call. Please check your microphone permissions.');
-      }
+  startPrecallCall() {
+    this.closePrecall();
+    return this.startVoiceCall();
+  }
+
+  setCallControl(button, pressed, labelKey, enabled) {
+    const label = this.t(labelKey);
+    button.setAttribute('aria-pressed', String(pressed));
+    button.classList.toggle('active', pressed);
+    button.disabled = !enabled;
+    button.title = label;
+    button.querySelector('.chatbot-call-control-label').textContent = label;
+  }
+
+  updateCallSpeakers({ user, agent }) {
+    this.elements.callSpeakers?.forEach(speaker => {
+      const speaking = speaker.dataset.speaker === 'user' ? user : agent;
+      speaker.classList.toggle('chatbot-call-speaking', Boolean(speaking));
+    });
+  }
+
+  // Refreshes the timer and the level meters ten times a second during a call
+  startCallMeters() {
+    if (this.callMeterTimer) return;
+    const tick = () => {
+      this.callMeterTimer = null;
+      if (this.destroyed || !this.voiceCall.isActive()) return;
+      this.renderCallMeters();
+      this.callMeterTimer = this.setTimer(tick, 100);
     };
+    this.callMeterTimer = this.setTimer(tick, 100);
+  }
 
-  // End voice call
-  this.endVoiceCall = async () => {
-    if (!this.voiceCallState.room || !this.voiceCallState.isConnected) return;
+  stopCallMeters() {
+    this.clearTimer(this.callMeterTimer);
+    this.callMeterTimer = null;
+  }
+
+  renderCallMeters() {
+    const levels = this.voiceCall.getAudioLevels();
+    this.elements.callLevels.forEach(meter => {
+      meter.style.setProperty('--chatbot-call-level', levels[meter.dataset.speaker].toFixed(2));
+    });
+    this.elements.callTimer.textContent = formatDuration(this.voiceCall.getDuration());
+  }
 
+  async getVoiceToken(identity, name) {
     try {
-      // Disconnect from room
-      await this.voiceCallState.room.disconnect();
-      this.voiceCallState.isConnected = false;
-      this.voiceCallState.isConnecting = false;
-      this.voiceCallState.room = null;
-      this.voiceCallState.localParticipant = null;
-      this.updateCallButton();
-      console.log('Voice call ended');
-    } catch (err) {
-      console.error('Error ending voice call:', err);
+      const response = await this.auth.fetch(this.endpoints.chatbot.voice_agent_token, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({ identity, name, session_id: this.sessionId })
+      });
+
+      if (response.ok) {
+        const { room, token } = await response.json();
+        return { room, token };
+      } else {
+        console.error("Server returned an error:", response.status);
+        return null;
+      }
+    } catch (error) {
+      console.error("Failed to load user token:", error);
+      return null;
     }
-  };
+  }
+  
+  // --- UI Management ---
+async createWidgetUI() {
+  if (this.destroyed || this.elements.container) return;
+  this.log('Creating widget UI...');
+ 
+  const container = document.createElement('div');
+  container.id = this.instanceId === 'default'
+    ? 'chatbot-widget-container'
+    : `chatbot-widget-container-${this.instanceId}`;
+  container.className = 'chatbot-widget-container';
+  this.log('Container created:', container);
 
-  // Update call button appearance
-  this.updateCallButton = () => {
-    const callButton = document.querySelector('.chatbot-action-card[data-action="voice-call"]');
-    const callIcon = callButton?.querySelector('.chatbot-action-icon');
-    const callTitle = callButton?.querySelector('.chatbot-action-title');
-    const callDesc = callButton?.querySelector('.chatbot-action-desc');
+  container.style.display = 'none';
+  container.style.opacity = '0';
 
-    if (!callButton) return;
+  const target = typeof this.config.target === 'string'
+    ? document.querySelector(this.config.target)
+    : this.config.target;
+  const mountTarget = target || document.body;
 
-    if (this.voiceCallState.isConnecting) {
-      callButton.style.background = 'linear-gradient(135deg, #FFA726 0%, #FB8C00 100%)';
-      callButton.style.animation = 'pulse 1.5s infinite';
-      callIcon.textContent = '⏳';
-      callTitle.textContent = 'Connecting...';
-      callDesc.textContent = 'Please wait while we connect you';
-    } else if (this.voiceCallState.isConnected) {
-      callButton.style.background = 'linear-gradient(135deg, #EF5350 0%, #E53935 100%)';
-      callButton.style.animation = 'none';
-      callIcon.textContent = '📞';
-      callTitle.textContent = 'End Call';
-      callDesc.textContent = 'Tap to disconnect the call';
-    } else {
-      callButton.style.background = '';
-      callButton.style.animation = 'none';
-      callIcon.textContent = '📞';
-      callTitle.textContent = 'Call Us';
-      callDesc.textContent = 'Start a voice conversation with us';
-    }
-  };
+  if (this.config.shadowDom && 'attachShadow' in Element.prototype) {
+    // Render inside a shadow root so page CSS and widget CSS stay apart
+    const host = document.createElement('div');
+    host.className = 'chatbot-widget-host';
+    mountTarget.appendChild(host);
+
+    const shadowRoot = host.attachShadow({ mode: 'open' });
+    injectStyleSheet(styles, shadowRoot, 'chatbot-sdk-styles');
+    shadowRoot.appendChild(container);
+
+    this.elements.host = host;
+    this.elements.root = shadowRoot;
+  } else {
+    injectStyleSheet(styles, document.head, 'chatbot-sdk-styles');
+    mountTarget.appendChild(container);
+    this.elements.root = document;
+  }
+  this.elements.container = container;
+  this.applyDynamicStyles();
 
-  setTimeout(() => {
+  this.setTimer(() => {
     const computedStyle = window.getComputedStyle(this.elements.container);
-    console.log('Computed styles:', {
+    this.log('Computed styles:', {
       display: computedStyle.display,
       opacity: computedStyle.opacity,
       zIndex: computedStyle.zIndex,
@@ -644,80 +1625,127 @@ this.createLoadingSound = () => {
   const bubble = document.createElement('div');
   bubble.className = 'chatbot-bubble';
   const bubbleStyle = this.config.style?.bubble || {};
-  bubble.style.width = bubbleStyle.size || '60px';
-  bubble.style.height = bubbleStyle.size || '60px';
-  bubble.style.backgroundColor = bubbleStyle.color || 'var(--chatbot-theme-color)';
-  
-  if (bubbleStyle.icon) {
-    bubble.innerHTML = bubbleStyle.icon.startsWith('http') ? 
-      `<img src="${bubbleStyle.icon}" alt="Chat" style="width: 70%; height: 70%;">` : 
-      bubbleStyle.icon;
+ 
+  const sanitizerOptions = this.getSanitizerOptions();
+  if (bubbleStyle.icon?.startsWith('http')) {
+    const iconUrl = sanitizeUrl(bubbleStyle.icon, sanitizerOptions.allowedProtocols, true);
+    if (iconUrl) {
+      const icon = document.createElement('img');
+      icon.src = iconUrl;
+      icon.alt = '';
+      icon.style.width = '70%';
+      icon.style.height = '70%';
+      bubble.appendChild(icon);
+    }
+  } else if (bubbleStyle.icon) {
+    setSafeHTML(bubble, bubbleStyle.icon, sanitizerOptions);
   } else {
-    bubble.innerHTML = `
-      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="white">
+    setSafeHTML(bubble, `
+      <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor">
         <path d="M20 2H4c-1.1 0-2 .9-2 2v18l4-4h14c1.1 0 2-.9 2-2V4c0-1.1-.9-2-2-2zm-2 12H6v-2h12v2zm0-3H6V9h12v2zm0-3H6V6h12v2z"/>
       </svg>
-    `;
+    `);
   }
   
   const messageBubble = document.createElement('div');
-  messageBubble.className = 'chatbot-message';
-  messageBubble.style.cssText = `
-    position: absolute;
-    right: 90px;
-    top: 50%;
-    transform: translateY(-50%) translateX(20px) scale(0.8);
-    background: white;
-    padding: 12px 16px;
-    border-radius: 20px;
-    box-shadow: 0 2px 10px rgba(0, 0, 0, 0.1);
-    max-width: 250px;
-    opacity: 0;
-    transition: all 0.4s cubic-bezier(0.68, -0.55, 0.265, 1.55);
-    font-size: 14px;
-    color: #333;
-    border: 1px solid #e0e0e0;
-    white-space: nowrap;
-    pointer-events: none;
-    z-index: 999;
-  `;
+  messageBubble.className = 'chatbot-message chatbot-teaser';
 
-  messageBubble.innerHTML = '<div style="position: absolute; top: 50%; right: -8px; transform: translateY(-50%); width: 0; height: 0; border-left: 8px solid white; border-top: 8px solid transparent; border-bottom: 8px solid transparent;"></div>';
+  messageBubble.appendChild(this.createTeaserArrow());
 
-  bubble.addEventListener('click', () => this.toggleChatWindow());
+  makeActivatable(bubble, () => this.toggleChatWindow(), this.t('a11y.openChat'));
+  bubble.setAttribute('aria-haspopup', 'dialog');
+  bubble.setAttribute('aria-expanded', 'false');
+  bubble.setAttribute('aria-controls', `${container.id}-window`);
+  // The teaser repeats what the bubble offers, so screen readers skip it
+  messageBubble.setAttribute('aria-hidden', 'true');
 
   container.appendChild(messageBubble);
   container.appendChild(bubble);
 
   this.elements.bubble = bubble;
   this.elements.messageBubble = messageBubble;
+  this.applyDirection();
 
-  setTimeout(() => this.startMessageCycle(), 3000);
+  this.setTimer(() => this.startMessageCycle(), 3000);
 
   // Create Chat Window with tabs
   const windowEl = document.createElement('div');
   windowEl.className = 'chatbot-window';
+  windowEl.id = `${container.id}-window`;
+  windowEl.setAttribute('role', 'dialog');
+  windowEl.setAttribute('aria-modal', 'true');
+  windowEl.setAttribute('aria-labelledby', `${container.id}-title`);
+  windowEl.setAttribute('aria-hidden', 'true');
   
+  // Every value interpolated into this template must be escaped
   const headerStyle = this.config.style?.header || {};
+  const headerIcon = headerStyle.icon && sanitizeUrl(headerStyle.icon, sanitizerOptions.allowedProtocols, true);
+  const headerIconSize = escapeHtml(headerStyle.iconSize || '30px');
+  const voiceMessages = this.getVoiceMessagesConfig();
   windowEl.innerHTML = `
-    <style>
-      @keyframes pulse {
-        0%, 100% { transform: scale(1); box-shadow: 0 4px 15px rgba(255, 167, 38, 0.3); }
-        50% { transform: scale(1.05); box-shadow: 0 6px 20px rgba(255, 167, 38, 0.5); }
-      }
-    </style>
-    <div class="chatbot-header" style="
-      ${headerStyle.backgroundColor ? `background-color: ${headerStyle.backgroundColor};` : ''}
-      ${headerStyle.textColor ? `color: ${headerStyle.textColor};` : ''}
-    ">
+    <div class="chatbot-header">
       <div class="chatbot-header-top">
-        ${headerStyle.icon ? 
-          `<img src="${headerStyle.icon}" class="chatbot-header-icon" 
-            style="width: ${headerStyle.iconSize || '30px'}; height: ${headerStyle.iconSize || '30px'};">` : ''}
-        <span class="chatbot-header-title">${this.config.botName}</span>
-        <button class="chatbot-header-close" style="
-          ${headerStyle.textColor ? `color: ${headerStyle.textColor};` : ''}
-        ">&times;</button>
+        ${headerIcon ? 
+          `<img src="${escapeHtml(headerIcon)}" class="chatbot-header-icon" alt="" 
+            style="width: ${headerIconSize}; height: ${headerIconSize};">` : ''}
+        <span class="chatbot-header-title" id="${escapeHtml(container.id)}-title">${escapeHtml(this.config.botName)}</span>
+        <div class="chatbot-header-actions">
+          ${voiceMessages.enabled ? `<button class="chatbot-header-read-aloud" aria-pressed="false" data-i18n-label="voice.readAloud" title="${escapeHtml(this.t('voice.readAloud'))}" aria-label="${escapeHtml(this.t('voice.readAloud'))}">🔈</button>` : ''}
+          <button class="chatbot-header-new" data-i18n-label="header.newConversation" title="${escapeHtml(this.t('header.newConversation'))}" aria-label="${escapeHtml(this.t('header.newConversation'))}">&#8635;</button>
+          <button class="chatbot-header-close" data-i18n-label="header.close" title="${escapeHtml(this.t('header.close'))}" aria-label="${escapeHtml(this.t('header.close'))}">&times;</button>
+        </div>
+      </div>
+    </div>
+
+    <!-- Call Panel -->
+    <div class="chatbot-call-panel" role="region" aria-label="${escapeHtml(this.t('call.panel'))}" data-i18n-label="call.panel" hidden>
+      <div class="chatbot-precall" hidden>
+        <div class="chatbot-precall-title" data-i18n="call.precheck.title">${escapeHtml(this.t('call.precheck.title'))}</div>
+        <div class="chatbot-precall-status" aria-live="polite"></div>
+        <label class="chatbot-precall-field">
+          <span data-i18n="call.precheck.microphone">${escapeHtml(this.t('call.precheck.microphone'))}</span>
+          <select class="chatbot-precall-input"></select>
+        </label>
+        <label class="chatbot-precall-field chatbot-precall-output-field" hidden>
+          <span data-i18n="call.precheck.speaker">${escapeHtml(this.t('call.precheck.speaker'))}</span>
+          <select class="chatbot-precall-output"></select>
+        </label>
+        <div class="chatbot-precall-test">
+          <button type="button" class="chatbot-precall-test-button">${escapeHtml(this.t('call.precheck.test'))}</button>
+          <span class="chatbot-precall-level" aria-hidden="true"></span>
+        </div>
+        <div class="chatbot-precall-error" role="alert" hidden></div>
+        <div class="chatbot-call-controls">
+          <button type="button" class="chatbot-call-control chatbot-precall-cancel" data-i18n="call.precheck.cancel">${escapeHtml(this.t('call.precheck.cancel'))}</button>
+          <button type="button" class="chatbot-call-control active chatbot-precall-start" data-i18n="call.precheck.start">${escapeHtml(this.t('call.precheck.start'))}</button>
+        </div>
+      </div>
+      <div class="chatbot-call-live">
+        <div class="chatbot-call-status-row">
+          <span class="chatbot-call-status" aria-live="polite"></span>
+          <span class="chatbot-call-timer">00:00</span>
+        </div>
+        <div class="chatbot-call-speakers">
+          <div class="chatbot-call-speaker" data-speaker="agent">
+            <span class="chatbot-call-speaker-name">${escapeHtml(this.config.botName)}</span>
+            <span class="chatbot-call-level" data-speaker="agent" aria-hidden="true"></span>
+          </div>
+          <div class="chatbot-call-speaker" data-speaker="user">
+            <span class="chatbot-call-speaker-name" data-i18n="call.you">${escapeHtml(this.t('call.you'))}</span>
+            <span class="chatbot-call-level" data-speaker="user" aria-hidden="true"></span>
+          </div>
+        </div>
+        <div class="chatbot-call-controls">
+          <button class="chatbot-call-control chatbot-call-mute" aria-pressed="false">
+            <span aria-hidden="true">🎙️</span><span class="chatbot-call-control-label"></span>
+          </button>
+          <button class="chatbot-call-control chatbot-call-hold" aria-pressed="false">
+            <span aria-hidden="true">⏸️</span><span class="chatbot-call-control-label"></span>
+          </button>
+          <button class="chatbot-call-control chatbot-call-hangup">
+            <span aria-hidden="true">📞</span><span class="chatbot-call-control-label" data-i18n="call.hangUp">${escapeHtml(this.t('call.hangUp'))}</span>
+          </button>
+        </div>
       </div>
     </div>
     
@@ -726,45 +1754,14 @@ this.createLoadingSound = () => {
       <div class="chatbot-tab-content active" data-content="home">
         <div class="chatbot-home-content">
           <div class="chatbot-home-welcome">
-            <h2>Welcome!</h2>
-            <p>How can we help you today?</p>
+            <h2 data-i18n="home.welcomeTitle">${escapeHtml(this.t('home.welcomeTitle'))}</h2>
+            <p data-i18n="home.welcomeText">${escapeHtml(this.t('home.welcomeText'))}</p>
           </div>
           
-          <div class="chatbot-actions-grid">
-            <div class="chatbot-action-card" data-action="voice-call">
-              <span class="chatbot-action-icon">📞</span>
-              <div class="chatbot-action-title">Call Us</div>
-              <div class="chatbot-action-desc">Start a voice conversation with us</div>
-              <div class="chatbot-language-switch">
-                <span>🌐</span>
-                <button class="lang-btn active" data-lang="en">EN</button>
-                <button class="lang-btn" data-lang="ar">AR</button>
-              </div>
-            </div>
-            <div class="chatbot-action-card" data-action="start-chat">
-              <span class="chatbot-action-icon">💬</span>
-              <div class="chatbot-action-title">Start Chat</div>
-              <div class="chatbot-action-desc">Begin a conversation with our assistant</div>
-            </div>
-            <div class="chatbot-action-card" data-action="check-products">
-              <span class="chatbot-action-icon">🏪</span>
-              <div class="chatbot-action-title">Our Products</div>
-              <div class="chatbot-action-desc">Explore our product offerings</div>
-            </div>
-            <div class="chatbot-action-card" data-action="contact-us">
-              <span class="chatbot-action-icon">✉️</span>
-              <div class="chatbot-action-title">Contact Us</div>
-              <div class="chatbot-action-desc">Get in touch with support</div>
-            </div>
-            <div class="chatbot-action-card" data-action="faq">
-              <span class="chatbot-action-icon">❓</span>
-              <div class="chatbot-action-title">FAQ</div>
-              <div class="chatbot-action-desc">Find answers to common questions</div>
-            </div>
-          </div>
+          <div class="chatbot-actions-grid"></div>
           
           <div class="chatbot-user-actions" style="display: none;">
-            <h3>Your Account</h3>
+            <h3 data-i18n="home.accountTitle">${escapeHtml(this.t('home.accountTitle'))}</h3>
             <div class="chatbot-user-notifications"></div>
           </div>
         </div>
@@ -773,26 +1770,22 @@ this.createLoadingSound = () => {
       <!-- Chat Tab -->
       <div class="chatbot-tab-content" data-content="chat">
         <div class="chatbot-chat-content">
-          <div class="chatbot-messages"></div>
+          <div class="chatbot-messages" role="log" aria-live="polite" aria-label="${escapeHtml(this.t('a11y.messages'))}"></div>
           <div class="chatbot-input-area">
-            <input type="text" placeholder="${this.config.inputPlaceholder}" />
-            <button class="chatbot-send-button">${this.config.sendButtonText}</button>
+            <input type="text" placeholder="${escapeHtml(this.config.inputPlaceholder || this.t('chat.placeholder'))}" aria-label="${escapeHtml(this.t('a11y.messageInput'))}" />
+            ${voiceMessages.enabled && isRecordingSupported() ? '<button type="button" class="chatbot-voice-button" aria-pressed="false">🎤</button>' : ''}
+            <button class="chatbot-send-button">${escapeHtml(this.config.sendButtonText || this.t('chat.send'))}</button>
           </div>
         </div>
         
         <!-- Terms Overlay -->
-        <div class="chatbot-terms-overlay">
+        <div class="chatbot-terms-overlay" role="dialog" aria-labelledby="${escapeHtml(container.id)}-terms-title">
           <div class="chatbot-terms-content">
-            <div class="chatbot-terms-title">Terms & Conditions</div>
-            <div class="chatbot-terms-text">
-              Before we start, and for your protection, please don't type any account or card numbers on the screen or any of your PINs. Please also note that we will be keeping a record of this conversation for service quality purposes. I am here to help you with general inquiries about the Bank, its products and services. If you need to access your bank accounts or cards,
-            </div>
-            <div class="chatbot-terms-text">
-              Dear customer, in order to ensure the confidentiality of your data, please do not share the three numbers on the back of the credit or debit card, the OTP or the password for the smart wallet service or the Internet banking with anyone, whether by phone, text message or e-mail and in case that this data is requested by any means of communication, please contact 19666 as soon as possible.
-            </div>
+            <div class="chatbot-terms-title" id="${escapeHtml(container.id)}-terms-title"></div>
+            <div class="chatbot-terms-body"></div>
             <div class="chatbot-terms-buttons">
-              <button class="chatbot-terms-accept">I Agree</button>
-              <button class="chatbot-terms-decline">Decline</button>
+              <button class="chatbot-terms-accept"></button>
+              <button class="chatbot-terms-decline"></button>
             </div>
           </div>
         </div>
@@ -806,29 +1799,9 @@ this.createLoadingSound = () => {
       </div>
     </div>
     
-    <div class="chatbot-footer" style="
-      text-align: center;
-      padding: 10px;
-      font-size: 12px;
-      font-family: 'Segoe UI', sans-serif;
-      background: #fdfdfd;
-    ">
-      <div class="chatbot-tabs">
-        <button class="chatbot-tab active" data-tab="home">Home</button>
-        <button class="chatbot-tab" data-tab="chat">Chat</button>
-        <button class="chatbot-tab" data-tab="announcements">News</button>
-      </div>
-      <span style="
-          background: linear-gradient(90deg, #4a90e2, #9013fe, #ff4081);
-          -webkit-background-clip: text;
-          -webkit-text-fill-color: transparent;
-          font-weight: bold;
-          font-style: italic;
-          font-size: 1.1em;
-          animation: shimmer 3s infinite;
-          background-size: 200% auto;
-          display:inline-block;
-      ">Powered by FinovaX ✨</span>
+    <div class="chatbot-footer">
+      <div class="chatbot-tabs" role="tablist"></div>
+      <span class="chatbot-powered-by" data-i18n="footer.poweredBy">${escapeHtml(this.t('footer.poweredBy'))}</span>
     </div>
   `;
 
@@ -836,41 +1809,50 @@ this.createLoadingSound = () => {
   this.elements.window = windowEl;
   this.elements.messagesContainer = windowEl.querySelector('.chatbot-messages');
   this.elements.inputField = windowEl.querySelector('.chatbot-input-area input');
-  this.elements.sendButton = windowEl.querySelector('.chatbot-input-area button');
+  this.elements.sendButton = windowEl.querySelector('.chatbot-send-button');
+  this.elements.voiceButton = windowEl.querySelector('.chatbot-voice-button');
+  this.elements.readAloudButton = windowEl.querySelector('.chatbot-header-read-aloud');
   this.elements.closeButton = windowEl.querySelector('.chatbot-header-close');
+  this.elements.newConversationButton = windowEl.querySelector('.chatbot-header-new');
   this.elements.headerTitle = windowEl.querySelector('.chatbot-header-title');
   this.elements.homeContent = windowEl.querySelector('[data-content="home"]');
   this.elements.chatContent = windowEl.querySelector('[data-content="chat"]');
   this.elements.announcementsContent = windowEl.querySelector('[data-content="announcements"]');
   this.elements.termsOverlay = windowEl.querySelector('.chatbot-terms-overlay');
+  this.renderConsent();
   this.elements.userActions = windowEl.querySelector('.chatbot-user-actions');
   this.elements.userNotifications = windowEl.querySelector('.chatbot-user-notifications');
-
-  // Add voice call button event listener
-  const voiceCallButton = windowEl.querySelector('.chatbot-action-card[data-action="voice-call"]');
-  if (voiceCallButton) {
-    voiceCallButton.addEventListener('click', async () => {
-      if (this.voiceCallState.isConnected) {
-        await this.endVoiceCall();
-      } else if (!this.voiceCallState.isConnecting) {
-        await this.startVoiceCall();
-      }
-    });
+  this.elements.actionsGrid = windowEl.querySelector('.chatbot-actions-grid');
+  this.elements.content = windowEl.querySelector('.chatbot-content');
+  this.elements.tabBar = windowEl.querySelector('.chatbot-tabs');
+  this.elements.callPanel = windowEl.querySelector('.chatbot-call-panel');
+  this.elements.callStatus = windowEl.querySelector('.chatbot-call-status');
+  this.elements.callTimer = windowEl.querySelector('.chatbot-call-timer');
+  this.elements.callSpeakers = windowEl.querySelectorAll('.chatbot-call-speaker');
+  this.elements.callLevels = windowEl.querySelectorAll('.chatbot-call-level');
+  this.elements.callMuteButton = windowEl.querySelector('.chatbot-call-mute');
+  this.elements.callHoldButton = windowEl.querySelector('.chatbot-call-hold');
+  this.elements.callHangupButton = windowEl.querySelector('.chatbot-call-hangup');
+  this.elements.callLive = windowEl.querySelector('.chatbot-call-live');
+  this.elements.precall = windowEl.querySelector('.chatbot-precall');
+  this.elements.precallStatus = windowEl.querySelector('.chatbot-precall-status');
+  this.elements.precallInput = windowEl.querySelector('.chatbot-precall-input');
+  this.elements.precallOutput = windowEl.querySelector('.chatbot-precall-output');
+  this.elements.precallOutputField = windowEl.querySelector('.chatbot-precall-output-field');
+  this.elements.precallTestButton = windowEl.querySelector('.chatbot-precall-test-button');
+  this.elements.precallLevel = windowEl.querySelector('.chatbot-precall-level');
+  this.elements.precallError = windowEl.querySelector('.chatbot-precall-error');
+  this.elements.precallStart = windowEl.querySelector('.chatbot-precall-start');
+  this.renderHomeActions();
+  this.renderTabs();
+  this.setVoiceMessageState('idle');
+  this.setReadAloud(voiceMessages.readAloud);
+  // A call that failed before the UI existed shows its pre-call check now
+  if (this.precall) {
+    this.updateCallPanel();
+    this.refreshPrecall();
   }
-  const langButtons = windowEl.querySelectorAll('.lang-btn');
-  langButtons.forEach(btn => {
-    btn.addEventListener('click', (e) => {
-      e.stopPropagation(); // Prevent triggering the call
-      
-      // Update active state
-      langButtons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      
-      // Store selected language
-      this.voiceCallState.selectedLanguage = btn.dataset.lang;
-      console.log('Language selected:', this.voiceCallState.selectedLanguage);
-    });
-  });
+
   // Event Listeners
   this.setupEventListeners();
 
@@ -878,6 +1860,8 @@ this.createLoadingSound = () => {
   this.messages.forEach(msg => this.displayMessage(msg, false));
   this.scrollToBottom();
   this.showWidget();
+  this.emit('ready');
+  this.syncHistory();
 
   // Start auto-refresh if configured
   if (this.config.autoRefresh) {
@@ -888,119 +1872,453 @@ this.createLoadingSound = () => {
   setupEventListeners() {
     // Close button
     this.elements.closeButton.addEventListener('click', () => this.toggleChatWindow());
+
+    // New conversation
+    this.elements.newConversationButton.addEventListener('click', () => {
+      this.resetConversation();
+      this.switchTab('chat');
+    });
     
     // Send message
     this.elements.sendButton.addEventListener('click', () => this.sendMessage());
     this.elements.inputField.addEventListener('keypress', (e) => {
       if (e.key === 'Enter') this.sendMessage();
     });
+    this.elements.inputField.addEventListener('input', () => this.hidePiiWarning());
 
-    // Tab navigation
-    const tabs = this.elements.window.querySelectorAll('.chatbot-tab');
-    tabs.forEach(tab => {
-      tab.addEventListener('click', () => {
-        const tabName = tab.dataset.tab;
-        this.switchTab(tabName);
-      });
+    // Lazy-load older history when scrolled to the top
+    this.elements.messagesContainer.addEventListener('scroll', () => {
+      if (this.elements.messagesContainer.scrollTop < 40) this.loadOlderMessages();
     });
 
-    // Home actions
-    const actionCards = this.elements.window.querySelectorAll('.chatbot-action-card');
-    actionCards.forEach(card => {
-      card.addEventListener('click', () => {
-        const action = card.dataset.action;
-        this.handleHomeAction(action);
+    // Tab navigation; the buttons are re-rendered, so the bar handles the clicks
+    this.elements.tabBar.addEventListener('click', (e) => {
+      const tab = e.target.closest('.chatbot-tab');
+      if (tab) this.switchTab(tab.dataset.tab);
+    });
+    this.elements.tabBar.addEventListener('keydown', (e) => this.handleTabKeydown(e));
+
+    // Escape closes the window; Tab stays inside it while it is open
+    this.elements.window.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen) {
+        e.preventDefault();
+        this.toggleChatWindow();
+      } else if (e.key === 'Tab') {
+        this.trapFocus(e);
+      }
+    });
+
+    // Push-to-talk: recording runs while the microphone button is held down
+    const voiceButton = this.elements.voiceButton;
+    if (voiceButton) {
+      voiceButton.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.startVoiceMessage();
+      });
+      ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+        voiceButton.addEventListener(type, () => this.stopVoiceMessage());
+      });
+      voiceButton.addEventListener('keydown', (e) => {
+        if ((e.key === ' ' || e.key === 'Enter') && !e.repeat) {
+          e.preventDefault();
+          this.startVoiceMessage();
+        }
       });
+      voiceButton.addEventListener('keyup', (e) => {
+        if (e.key === ' ' || e.key === 'Enter') {
+          e.preventDefault();
+          this.stopVoiceMessage();
+        }
+      });
+    }
+    this.elements.readAloudButton?.addEventListener('click', () => this.setReadAloud(!this.readAloud));
+
+    // Pre-call check
+    this.elements.precallInput.addEventListener('change', () => {
+      this.stopMicTest();
+      this.callDevices.input = this.elements.precallInput.value;
     });
+    this.elements.precallOutput.addEventListener('change', () => {
+      this.callDevices.output = this.elements.precallOutput.value;
+    });
+    this.elements.precallTestButton.addEventListener('click', () => this.runMicTest());
+    this.elements.precallStart.addEventListener('click', () => this.startPrecallCall());
+    this.elements.precall.querySelector('.chatbot-precall-cancel').addEventListener('click', () => this.closePrecall());
+
+    // In-call controls
+    this.elements.callMuteButton.addEventListener('click', () => this.voiceCall.toggleMute());
+    this.elements.callHoldButton.addEventListener('click', () => this.voiceCall.toggleHold());
+    this.elements.callHangupButton.addEventListener('click', () => this.endVoiceCall());
 
     // Terms acceptance
     const termsAccept = this.elements.window.querySelector('.chatbot-terms-accept');
     const termsDecline = this.elements.window.querySelector('.chatbot-terms-decline');
     
-    termsAccept.addEventListener('click', () => {
-      this.termsAccepted = true;
-      this.elements.termsOverlay.style.display = 'none';
+    termsAccept.addEventListener('click', () => this.acceptConsent());
+    termsDecline.addEventListener('click', () => this.declineConsent());
+  }
+
+  // --- Tabs ---
+  getTabs() {
+    return resolveTabs(this.config.tabs, this.customTabs, {
+      authenticated: this.auth.isAuthenticated(),
+      widget: this
     });
-    
-    termsDecline.addEventListener('click', () => {
-      this.switchTab('home');
+  }
+
+  /**
+   * Adds a custom tab (see src/tabs.js for the fields).
+   * @param {object} tab - The tab; needs an id and a render function.
+   * @returns {Function} A function that removes the tab again.
+   */
+  registerTab(tab) {
+    if (!tab?.id) throw new Error('Chatbot SDK: a tab needs an id');
+    this.customTabs.set(tab.id, tab);
+    this.renderTabs();
+    return () => {
+      if (this.customTabs.get(tab.id) !== tab) return;
+      this.customTabs.delete(tab.id);
+      this.getTabContent(tab.id)?.remove();
+      this.renderTabs();
+    };
+  }
+
+  renderTabs() {
+    const tabBar = this.elements.tabBar;
+    if (!tabBar) return;
+
+    const tabs = this.getTabs();
+    tabBar.setAttribute('aria-label', this.t('a11y.tabs'));
+    tabBar.replaceChildren(...tabs.map(tab => {
+      const button = document.createElement('button');
+      button.className = 'chatbot-tab';
+      button.dataset.tab = tab.id;
+      button.id = this.getTabElementId(tab.id, 'tab');
+      button.setAttribute('role', 'tab');
+      button.setAttribute('aria-controls', this.getTabElementId(tab.id, 'panel'));
+      const label = tab.labelKey ? this.t(tab.labelKey) : localizeValue(tab.label ?? tab.id, this.locale);
+      button.textContent = tab.icon ? `${tab.icon} ${label}` : label;
+      button.classList.toggle('active', tab.id === this.currentTab);
+      button.setAttribute('aria-selected', String(tab.id === this.currentTab));
+      button.tabIndex = tab.id === this.currentTab ? 0 : -1;
+      return button;
+    }));
+
+    // Custom tabs get an empty panel that is filled on first activation
+    tabs.filter(tab => !BUILT_IN_TAB_IDS.includes(tab.id)).forEach(tab => {
+      if (this.getTabContent(tab.id)) return;
+      const content = document.createElement('div');
+      content.className = 'chatbot-tab-content chatbot-custom-tab';
+      content.dataset.content = tab.id;
+      this.elements.content.appendChild(content);
+    });
+
+    Array.from(this.elements.content.children).forEach(panel => {
+      panel.id = this.getTabElementId(panel.dataset.content, 'panel');
+      panel.setAttribute('role', 'tabpanel');
+      panel.setAttribute('aria-labelledby', this.getTabElementId(panel.dataset.content, 'tab'));
     });
+
+    // The shown tab was disabled or hidden
+    if (tabs.length > 0 && !tabs.some(tab => tab.id === this.currentTab)) {
+      this.switchTab(tabs[0].id);
+    }
+  }
+
+  getTabElementId(tabName, part) {
+    return `${this.elements.container.id}-${part}-${tabName}`;
+  }
+
+  // Arrow keys, Home and End move between tabs and show the focused one
+  handleTabKeydown(e) {
+    const buttons = Array.from(this.elements.tabBar.querySelectorAll('.chatbot-tab'));
+    const index = buttons.indexOf(e.target);
+    if (index === -1) return;
+
+    const forward = this.isRtl() ? 'ArrowLeft' : 'ArrowRight';
+    const backward = this.isRtl() ? 'ArrowRight' : 'ArrowLeft';
+    let next;
+    if (e.key === forward) next = (index + 1) % buttons.length;
+    else if (e.key === backward) next = (index - 1 + buttons.length) % buttons.length;
+    else if (e.key === 'Home') next = 0;
+    else if (e.key === 'End') next = buttons.length - 1;
+    else return;
+
+    e.preventDefault();
+    this.switchTab(buttons[next].dataset.tab);
+    this.elements.tabBar.querySelector('.chatbot-tab.active')?.focus();
+  }
+
+  getTabContent(tabName) {
+    return Array.from(this.elements.content?.children || [])
+      .find(content => content.dataset.content === tabName) || null;
+  }
+
+  runTabHook(tab, hook, content) {
+    if (typeof tab?.[hook] !== 'function') return undefined;
+    try {
+      return tab[hook](content, this);
+    } catch (error) {
+      console.error(`Chatbot SDK: ${hook} of tab "${tab.id}" failed`, error);
+      this.emit('error', { source: 'tab', tab: tab.id, error });
+      return undefined;
+    }
+  }
+
+  // Tab content given as data rather than a render function
+  renderTabFrame(tab) {
+    if (tab.content.type !== 'iframe') {
+      console.warn(`Chatbot SDK: tab "${tab.id}" has an unknown content type "${tab.content.type}"`);
+      return undefined;
+    }
+    const label = tab.labelKey ? this.t(tab.labelKey) : localizeValue(tab.label ?? tab.id, this.locale);
+    const frame = createTabFrame({ title: label, ...tab.content }, this.config.allowedFrameOrigins);
+    if (!frame) {
+      this.emit('error', { source: 'tab', tab: tab.id, error: new Error('iframe origin is not allowed') });
+    }
+    return frame || undefined;
   }
 
   switchTab(tabName) {
+    const tabs = this.getTabs();
+    const tab = tabs.find(t => t.id === tabName);
+    if (!tab) {
+      console.warn(`Chatbot SDK: tab "${tabName}" is not available`);
+      return;
+    }
+
     // Update active tab button
-    const tabs = this.elements.window.querySelectorAll('.chatbot-tab');
-    tabs.forEach(tab => {
-      tab.classList.toggle('active', tab.dataset.tab === tabName);
+    this.elements.tabBar.querySelectorAll('.chatbot-tab').forEach(button => {
+      const active = button.dataset.tab === tabName;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-selected', String(active));
+      button.tabIndex = active ? 0 : -1;
     });
 
     // Update active content
-    const contents = this.elements.window.querySelectorAll('.chatbot-tab-content');
-    contents.forEach(content => {
-      content.classList.toggle('active', content.dataset.content === tabName);
+    const content = this.getTabContent(tabName);
+    Array.from(this.elements.content.children).forEach(panel => {
+      panel.classList.toggle('active', panel === content);
     });
 
+    const previousTab = this.currentTab;
     this.currentTab = tabName;
+    if (previousTab !== tabName) {
+      this.runTabHook(tabs.find(t => t.id === previousTab), 'onDeactivate', this.getTabContent(previousTab));
+    }
+
+    // Custom tabs render once, on first activation
+    if (content && (tab.render || tab.content) && !content.dataset.rendered) {
+      content.dataset.rendered = 'true';
+      const rendered = tab.content ? this.renderTabFrame(tab) : this.runTabHook(tab, 'render', content);
+      if (rendered instanceof Node) {
+        content.replaceChildren(rendered);
+      } else if (typeof rendered === 'string') {
+        setSafeHTML(content, rendered, this.getSanitizerOptions());
+      }
+    }
 
     // Handle tab-specific actions
     if (tabName === 'chat') {
-      if (!this.termsAccepted) {
-        this.elements.termsOverlay.style.display = 'flex';
+      if (!this.hasConsent()) {
+        this.showConsent();
       }
       // Always scroll to bottom when opening chat tab
-      setTimeout(() => {
+      this.setTimer(() => {
         this.scrollToBottom();
       }, 100);
     }
 
-
     if (tabName === 'announcements' && this.announcements.length === 0) {
       this.loadAnnouncements();
     }
+
+    if (previousTab !== tabName) {
+      this.runTabHook(tab, 'onActivate', content);
+      this.emit('tab:changed', { tab: tabName, previousTab });
+    }
   }
 
-  handleHomeAction(action) {
-    switch (action) {
-      case 'start-chat':
+
+  // --- Home Actions ---
+  // Actions come from config.homeActions (options or the remote config) merged over the defaults
+  getHomeActions() {
+    return resolveHomeActions(this.config.homeActions, {
+      authenticated: this.auth.isAuthenticated(),
+      includeDefaults: this.config.includeDefaultHomeActions !== false,
+      widget: this
+    });
+  }
+
+  getHomeAction(id) {
+    return this.getHomeActions().find(action => action.id === id) || null;
+  }
+
+  // Title, description and message may be catalog keys, strings or locale maps
+  localizeAction(action, field) {
+    const key = action[`${field}Key`];
+    return key ? this.t(key) : localizeValue(action[field], this.locale);
+  }
+
+  renderHomeActions() {
+    const grid = this.elements.actionsGrid;
+    if (!grid) return;
+
+    grid.replaceChildren(...this.getHomeActions().map(action => this.createActionCard(action)));
+    this.updateCallButton();
+  }
+
+  createActionCard(action) {
+    const card = document.createElement('div');
+    card.className = 'chatbot-action-card';
+    card.id = `${this.elements.container.id}-action-${action.id}`;
+    card.dataset.action = action.id;
+    card.dataset.actionType = action.type || 'payload';
+    card.setAttribute('aria-labelledby', `${card.id}-title`);
+    card.setAttribute('aria-describedby', `${card.id}-desc`);
+    this.fillActionCard(card, action);
+
+    if (action.type === 'call') {
+      card.appendChild(this.createCallLanguageSwitch());
+    }
+
+    makeActivatable(card, () => this.handleHomeAction(action.id));
+    return card;
+  }
+
+  fillActionCard(card, action) {
+    const icon = document.createElement('span');
+    icon.className = 'chatbot-action-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    const iconUrl = /^(https?:|data:image\/)/.test(action.icon || '')
+      ? sanitizeUrl(action.icon, this.config.allowedLinkProtocols, true)
+      : null;
+    if (iconUrl) {
+      const image = document.createElement('img');
+      image.src = iconUrl;
+      image.alt = '';
+      icon.appendChild(image);
+    } else {
+      icon.textContent = action.icon || '';
+    }
+
+    const title = document.createElement('div');
+    title.className = 'chatbot-action-title';
+    title.id = `${card.id}-title`;
+    title.textContent = this.localizeAction(action, 'title');
+
+    const description = document.createElement('div');
+    description.className = 'chatbot-action-desc';
+    description.id = `${card.id}-desc`;
+    description.textContent = this.localizeAction(action, 'description');
+
+    card.querySelectorAll('.chatbot-action-icon, .chatbot-action-title, .chatbot-action-desc').forEach(el => el.remove());
+    card.prepend(icon, title, description);
+  }
+
+  // Picks the language the voice agent speaks
+  createCallLanguageSwitch() {
+    const languageSwitch = document.createElement('div');
+    languageSwitch.className = 'chatbot-language-switch';
+    languageSwitch.setAttribute('role', 'group');
+    languageSwitch.setAttribute('aria-label', this.t('a11y.callLanguage'));
+    const globe = document.createElement('span');
+    globe.textContent = '🌐';
+    globe.setAttribute('aria-hidden', 'true');
+    languageSwitch.appendChild(globe);
+
+    ['en', 'ar'].forEach(lang => {
+      const button = document.createElement('button');
+      button.className = 'lang-btn';
+      button.dataset.lang = lang;
+      // The code is shown; the language name is what gets announced
+      button.textContent = lang.toUpperCase();
+      button.title = this.t(`call.language.${lang}`);
+      button.setAttribute('aria-label', button.title);
+      button.classList.toggle('active', this.callLanguage === lang);
+      button.setAttribute('aria-pressed', String(this.callLanguage === lang));
+      button.addEventListener('click', (e) => {
+        e.stopPropagation(); // Prevent triggering the call
+        this.callLanguage = lang;
+        this.elements.window.querySelectorAll('.lang-btn').forEach(b => {
+          b.classList.toggle('active', b.dataset.lang === lang);
+          b.setAttribute('aria-pressed', String(b.dataset.lang === lang));
+        });
+        this.log('Language selected:', lang);
+      });
+      languageSwitch.appendChild(button);
+    });
+    return languageSwitch;
+  }
+
+  async handleHomeAction(actionId) {
+    const action = this.getHomeAction(actionId);
+    if (!action) return;
+    this.emit('home:action', { action });
+
+    switch (action.type || 'payload') {
+      case 'payload':
         this.switchTab('chat');
+        // Without consent, sendMessage() queues the message until the terms are accepted
+        this.setTimer(() => {
+          this.sendMessage(this.localizeAction(action, 'message') || this.localizeAction(action, 'title'), action.payload);
+        }, 500);
         break;
-      case 'check-products':
-        this.switchTab('chat');
-        if (this.termsAccepted) {
-          setTimeout(() => {
-            this.sendMessage('Show me your products', '/list_product_list');
-          }, 500);
-        }
+      case 'url': {
+        const url = sanitizeUrl(action.url, this.config.allowedLinkProtocols);
+        if (url) window.open(url, action.target || '_blank', 'noopener');
         break;
-      case 'contact-us':
-        this.switchTab('chat');
-        if (this.termsAccepted) {
-          setTimeout(() => {
-            this.sendMessage('I need to contact support', '/contact_support');
-          }, 500);
+      }
+      case 'tab':
+        this.switchTab(action.tab || 'chat');
+        break;
+      case 'call':
+        if (!this.hasConsent()) {
+          this.queueUntilConsent(() => this.handleHomeAction(actionId));
+          this.switchTab('chat');
+          break;
+        }
+        if (this.voiceCall.state === 'connected') {
+          await this.endVoiceCall();
+        } else if (this.voiceCall.isActive()) {
+          break;
+        } else if (this.config.callPrecheck === false) {
+          await this.startVoiceCall();
+        } else if (this.precall) {
+          this.elements.precallStart.focus();
+        } else {
+          await this.openPrecall();
         }
         break;
-      case 'faq':
-        this.switchTab('chat');
-        if (this.termsAccepted) {
-          setTimeout(() => {
-            this.sendMessage('Show me frequently asked questions', '/show_faq');
-          }, 500);
+      case 'callback': {
+        const callback = typeof action.callback === 'function'
+          ? action.callback
+          : this.config.actionHandlers?.[action.callback];
+        if (typeof callback !== 'function') {
+          console.warn(`Chatbot SDK: no handler for home action "${action.id}"`);
+          break;
+        }
+        try {
+          await callback(action, this);
+        } catch (error) {
+          console.error(`Chatbot SDK: home action "${action.id}" failed`, error);
+          this.emit('error', { source: 'home-action', error });
         }
         break;
+      }
+      default:
+        console.warn(`Chatbot SDK: unknown home action type "${action.type}"`);
     }
   }
 
+
   async loadUserNotifications() {
-    if (!authToken) return;
+    if (!this.auth.isAuthenticated()) return;
 
     try {
-      const response = await fetch(this.config.startingUrl, {
+      const response = await this.auth.fetch(this.withSessionId(this.config.startingUrl), {
         method: 'GET',
-        headers: { 
-          'Content-Type': 'application/json',
-          'authorization': `Bearer ${authToken}`
-        },
+        headers: { 'Content-Type': 'application/json' },
       });
 
       if (response.ok) {
@@ -1062,8 +2380,11 @@ this.createLoadingSound = () => {
       if (item.url) {
         const actionButton = document.createElement('button');
         actionButton.className = 'chatbot-notification-button';
-        actionButton.textContent = 'View Details'; // A generic, actionable text
-        actionButton.onclick = () => window.open(item.url, '_blank');
+        actionButton.textContent = this.t('notifications.viewDetails');
+        actionButton.onclick = () => {
+          const url = sanitizeUrl(item.url, this.config.allowedLinkProtocols);
+          if (url) window.open(url, '_blank', 'noopener');
+        };
         card.appendChild(actionButton);
       }
       
@@ -1077,16 +2398,23 @@ this.createLoadingSound = () => {
     }
     
     if (this.elements.inputField) {
-      this.elements.inputField.placeholder = this.config.inputPlaceholder;
+      this.elements.inputField.placeholder = this.config.inputPlaceholder || this.t('chat.placeholder');
+      this.elements.inputField.setAttribute('aria-label', this.t('a11y.messageInput'));
     }
+    this.elements.bubble?.setAttribute('aria-label', this.t('a11y.openChat'));
+    this.elements.messagesContainer?.setAttribute('aria-label', this.t('a11y.messages'));
     
     if (this.elements.sendButton) {
-      this.elements.sendButton.textContent = this.config.sendButtonText;
+      this.elements.sendButton.textContent = this.config.sendButtonText || this.t('chat.send');
     }
+
+    this.renderHomeActions();
+    this.renderTabs();
+    this.renderConsent();
   }
 
   showWidget() {
-    console.log('Attempting to show widget...');
+    this.log('Attempting to show widget...');
 
     // Force visibility for debugging
     this.elements.container.style.display = 'block';
@@ -1095,17 +2423,17 @@ this.createLoadingSound = () => {
     
     // Original animation code
     const animation = this.config.style?.animation || { type: 'fade-in', duration: 300 };
-    console.log('Using animation:', animation);
+    this.log('Using animation:', animation);
 
     this.elements.container.style.display = 'block';
     
     if (animation.type === 'fade-in') {
-      setTimeout(() => {
+      this.setTimer(() => {
         this.elements.container.style.opacity = '1';
       }, 50);
-    } else if (animation.type === 'slide-up') {
+    } else if (animation.type === 'slide-up' && !prefersReducedMotion()) {
       this.elements.container.style.transform = 'translateY(20px)';
-      setTimeout(() => {
+      this.setTimer(() => {
         this.elements.container.style.transition = `all ${animation.duration}ms ease`;
         this.elements.container.style.opacity = '1';
         this.elements.container.style.transform = 'translateY(0)';
@@ -1133,134 +2461,792 @@ this.createLoadingSound = () => {
 
   // --- Message Handling ---
   displayMessage(message, save = true) {
+    message = runHooks(this.getHooks('beforeRender'), message);
+    if (!message) return;
+    if (save && !message.timestamp) {
+      message = { ...message, timestamp: new Date().toISOString() };
+    }
+
+    const messageElement = this.createMessageElement(message);
+    this.elements.messagesContainer.appendChild(messageElement);
+
+    // Keep the typing indicator below the newest message
+    if (this.elements.typingIndicator) {
+      this.elements.messagesContainer.appendChild(this.elements.typingIndicator);
+    }
+    
+    if (save) {
+      this.messages.push(message);
+      this.saveConversation();
+      if (message.sender !== 'user') {
+        this.emit('message:received', { message });
+        this.readAloudReply(message, messageElement);
+      }
+    }
+    
+    this.scrollToBottom();
+    return message;
+  }
+
+  createMessageElement(message) {
     const messageElement = document.createElement('div');
     messageElement.classList.add('chatbot-message', message.sender === 'user' ? 'user' : 'bot');
+    if (message.id) messageElement.dataset.messageId = message.id;
+    if (message.source === 'voice') {
+      messageElement.classList.add('voice');
+      messageElement.appendChild(this.createVoiceLabel());
+    }
 
     if (message.text) {
       const textContent = document.createElement('div');
-      textContent.innerHTML = parseMarkdown(message.text);
+      const sanitizerOptions = this.getSanitizerOptions();
+      setSafeHTML(textContent, renderMarkdown(message.text, sanitizerOptions), sanitizerOptions);
       messageElement.appendChild(textContent);
     }
 
-    if (message.buttons?.length > 0) {
-      const buttonContainer = renderMessage(message, 'buttons', this.sendMessage.bind(this));
-      if (buttonContainer) messageElement.appendChild(buttonContainer);
+    renderMessageContent(message, this.sendMessage.bind(this), this)
+      .forEach(element => messageElement.appendChild(element));
+
+    if (message.sender !== 'user' && message.text && message.source !== 'voice' && this.getVoiceMessagesConfig().enabled) {
+      messageElement.appendChild(this.createPlayButton(message));
     }
-    
-    if (message.image) {
-      const imageEl = renderMessage(message, 'image');
-      if (imageEl) messageElement.appendChild(imageEl);
+
+    if (message.status) {
+      this.renderMessageStatus(messageElement, message);
     }
-    
-    if (message.video) {
-      const videoEl = renderMessage(message, 'video');
-      if (videoEl) messageElement.appendChild(videoEl);
+
+    return messageElement;
+  }
+
+  // Clears the message list and renders this.messages again
+  renderConversation() {
+    const container = this.elements.messagesContainer;
+    if (!container) return;
+    container.querySelectorAll('.chatbot-message:not(.streaming)').forEach(el => el.remove());
+    this.messages.forEach(msg => this.displayMessage(msg, false));
+
+    // Replies and voice transcripts that are still streaming stay below the history
+    container.querySelectorAll('.chatbot-message.streaming').forEach(el => container.appendChild(el));
+    if (this.elements.typingIndicator) container.appendChild(this.elements.typingIndicator);
+    this.scrollToBottom();
+  }
+
+  // --- History Sync ---
+  // Authenticated users get their conversation from the server, newest page first
+  async fetchHistoryPage(before = null) {
+    const params = new URLSearchParams({
+      session_id: this.sessionId,
+      limit: String(this.config.historyPageSize || 20)
+    });
+    if (before) params.set('before', before);
+
+    const controller = new AbortController();
+    this.activeRequests.add(controller);
+    try {
+      const response = await this.auth.fetch(`${this.endpoints.chatbot.history}?${params}`, {
+        method: 'GET',
+        headers: { 'Content-Type': 'application/json' },
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+
+      // Accepts { messages, has_more, next_cursor } or a plain array of messages (oldest first)
+      const data = await response.json();
+      const messages = (Array.isArray(data) ? data : data.messages || [])
+        .map(msg => ({ ...msg, sender: msg.sender === 'user' ? 'user' : 'bot' }));
+      const hasMore = Array.isArray(data)
+        ? messages.length >= (this.config.historyPageSize || 20)
+        : Boolean(data.has_more);
+      const cursor = data.next_cursor || messages[0]?.id || messages[0]?.timestamp || null;
+      return { messages, hasMore: hasMore && Boolean(cursor), cursor };
+    } finally {
+      this.activeRequests.delete(controller);
     }
-    
-    if (message.carousel?.length > 0) {
-      const carouselEl = renderMessage(message, 'carousel', this.sendMessage.bind(this));
-      if (carouselEl) messageElement.appendChild(carouselEl);
+  }
+
+  async syncHistory() {
+    if (!this.auth.isAuthenticated() || this.config.historySync === false || this.history.loading || this.destroyed) return;
+    // Nothing to sync before the session exists
+    if (!this.sessionId || !this.storage) return;
+
+    this.history.loading = true;
+    try {
+      const page = await this.fetchHistoryPage();
+      if (this.destroyed) return;
+      this.mergeHistory(page.messages);
+      this.history.cursor = page.cursor;
+      this.history.hasMore = page.hasMore;
+      this.history.synced = true;
+      this.emit('history:synced', { count: page.messages.length, hasMore: page.hasMore });
+    } catch (error) {
+      if (this.destroyed) return;
+      console.error('Failed to sync conversation history:', error);
+      this.emit('error', { source: 'history', error });
+    } finally {
+      this.history.loading = false;
     }
-    
-    if (message.custom) {
-      const customEl = renderCustomPayload(message.custom, this.sendMessage.bind(this));
-      if (customEl) messageElement.appendChild(customEl);
+  }
+
+  // Messages are the same when their IDs match; messages without an ID are
+  // compared by sender and content, and by timestamp when they have one
+  getMessageContentKey(message, withTimestamp) {
+    const sender = message.sender === 'user' ? 'user' : 'bot';
+    const payload = message.payload ? JSON.stringify(message.payload) : '';
+    return `${sender}|${withTimestamp ? message.timestamp : ''}|${message.text || ''}|${payload}`;
+  }
+
+  // Returns a function telling whether a message is already among the given ones
+  createMessageMatcher(messages) {
+    const ids = new Set();
+    const contentKeys = new Set();
+    messages.forEach(message => {
+      if (message.id) {
+        ids.add(message.id);
+      } else {
+        contentKeys.add(this.getMessageContentKey(message, Boolean(message.timestamp)));
+      }
+    });
+    return (message) => (message.id && ids.has(message.id)) ||
+      contentKeys.has(this.getMessageContentKey(message, true)) ||
+      contentKeys.has(this.getMessageContentKey(message, false));
+  }
+
+  // The server page replaces the cached messages it covers; local messages newer
+  // than the page (e.g. still queued in the outbox) are kept after it
+  mergeHistory(serverMessages) {
+    const isOnServer = this.createMessageMatcher(serverMessages);
+    const newest = serverMessages.reduce((max, msg) => Math.max(max, Date.parse(msg.timestamp) || 0), 0);
+    const localOnly = this.messages.filter(msg =>
+      !isOnServer(msg) &&
+      (!serverMessages.length || (Date.parse(msg.timestamp) || 0) > newest)
+    );
+
+    this.messages = [...serverMessages, ...localOnly];
+    this.saveConversation();
+    this.renderConversation();
+  }
+
+  // Prepends the next older page, keeping the visible messages in place
+  async loadOlderMessages() {
+    const history = this.history;
+    if (!history.synced || !history.hasMore || history.loading || !this.auth.isAuthenticated()) return;
+
+    const container = this.elements.messagesContainer;
+    const loader = document.createElement('div');
+    loader.className = 'chatbot-history-loader';
+    loader.textContent = this.t('chat.loadingHistory');
+    container.prepend(loader);
+
+    history.loading = true;
+    try {
+      const page = await this.fetchHistoryPage(history.cursor);
+      if (this.destroyed) return;
+
+      const isKnown = this.createMessageMatcher(this.messages);
+      const older = page.messages.filter(msg => !isKnown(msg));
+
+      const previousHeight = container.scrollHeight;
+      const fragment = document.createDocumentFragment();
+      older.forEach(msg => {
+        const rendered = runHooks(this.getHooks('beforeRender'), msg);
+        if (rendered) fragment.appendChild(this.createMessageElement(rendered));
+      });
+      loader.after(fragment);
+      container.scrollTop += container.scrollHeight - previousHeight;
+
+      this.messages = [...older, ...this.messages];
+      history.cursor = page.cursor;
+      history.hasMore = page.hasMore;
+      this.emit('history:loaded', { count: older.length, hasMore: page.hasMore });
+    } catch (error) {
+      if (this.destroyed) return;
+      console.error('Failed to load older messages:', error);
+      this.emit('error', { source: 'history', error });
+    } finally {
+      loader.remove();
+      history.loading = false;
     }
+  }
 
-    this.elements.messagesContainer.appendChild(messageElement);
-    
-    if (save) {
-      this.messages.push(message);
-      setLocalStorageItem(`chatbot_conversation_${this.sessionId}`, this.messages);
+  // --- Delivery States ---
+  renderMessageStatus(messageElement, message) {
+    messageElement.classList.remove('sending', 'queued', 'sent', 'failed');
+    messageElement.classList.add(message.status);
+    messageElement.querySelector('.chatbot-message-status')?.remove();
+
+    const statusEl = document.createElement('div');
+    statusEl.className = 'chatbot-message-status';
+
+    const label = document.createElement('span');
+    label.textContent = ['sending', 'queued', 'sent', 'failed'].includes(message.status)
+      ? this.t(`status.${message.status}`)
+      : '';
+    statusEl.appendChild(label);
+
+    if (message.status === 'failed') {
+      const retryButton = document.createElement('button');
+      retryButton.type = 'button';
+      retryButton.className = 'chatbot-message-retry';
+      retryButton.textContent = this.t('status.retry');
+      retryButton.addEventListener('click', () => this.retryMessage(message.id));
+      statusEl.appendChild(retryButton);
     }
-    
+
+    messageElement.appendChild(statusEl);
+  }
+
+  setMessageStatus(message, status) {
+    message.status = status;
+    this.saveConversation();
+
+    const messageElement = this.elements.messagesContainer?.querySelector(`[data-message-id="${message.id}"]`);
+    if (messageElement) this.renderMessageStatus(messageElement, message);
+  }
+
+  // Resends a failed message with its original text and payload
+  async retryMessage(messageId) {
+    const message = this.messages.find(m => m.id === messageId);
+    if (!message || message.status !== 'failed') return;
+
+    const requestBody = await this.buildRequestBody(message.text, message.payload, message.id);
+    if (!requestBody) return;
+    await this.deliverMessage(message, requestBody);
+  }
+
+  // --- Voice Messages ---
+  // config.voiceMessages: false, or { readAloud, maxDuration }
+  getVoiceMessagesConfig() {
+    const voice = this.config.voiceMessages;
+    if (voice === false) return { enabled: false, readAloud: false };
+    return {
+      enabled: true,
+      readAloud: false,
+      maxDuration: 60000,
+      ...(typeof voice === 'object' ? voice : {})
+    };
+  }
+
+  setVoiceMessageState(state) {
+    this.voiceMessageState = state;
+    const button = this.elements.voiceButton;
+    if (!button) return;
+
+    const labels = { recording: 'voice.recording', transcribing: 'voice.transcribing' };
+    const label = this.t(labels[state] || 'voice.record');
+    button.classList.toggle('active', state === 'recording');
+    button.setAttribute('aria-pressed', String(state === 'recording'));
+    button.setAttribute('aria-busy', String(state === 'transcribing'));
+    button.disabled = state === 'transcribing';
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  async startVoiceMessage() {
+    if (this.voiceMessageState !== 'idle') return;
+    if (!this.hasConsent()) {
+      this.showConsent();
+      return;
+    }
+
+    this.hidePiiWarning();
+    this.setVoiceMessageState('starting');
+    if (!this.voiceRecorder) {
+      this.voiceRecorder = new VoiceRecorder({
+        maxDuration: this.getVoiceMessagesConfig().maxDuration,
+        onMaxDuration: () => this.stopVoiceMessage()
+      });
+    }
+
+    try {
+      await this.voiceRecorder.start();
+    } catch (error) {
+      this.setVoiceMessageState('idle');
+      this.handleVoiceMessageError(error, 'microphone');
+      return;
+    }
+
+    // The button was released while the microphone was being opened
+    if (this.destroyed || this.voiceMessageState !== 'starting') {
+      this.voiceRecorder.cancel();
+      return;
+    }
+    this.setVoiceMessageState('recording');
+    this.emit('voice:recording');
+  }
+
+  async stopVoiceMessage() {
+    if (this.voiceMessageState === 'starting') {
+      this.setVoiceMessageState('idle');
+      return;
+    }
+    if (this.voiceMessageState !== 'recording') return;
+
+    this.setVoiceMessageState('transcribing');
+    const recording = await this.voiceRecorder.stop();
+    if (this.destroyed) return;
+
+    // Taps shorter than half a second are taken as accidental
+    if (!recording || recording.duration < 500) {
+      this.setVoiceMessageState('idle');
+      return;
+    }
+
+    let text;
+    try {
+      text = await this.transcribeAudio(recording.blob);
+    } catch (error) {
+      if (this.destroyed) return;
+      this.setVoiceMessageState('idle');
+      this.handleVoiceMessageError(error, 'stt');
+      return;
+    }
+    if (this.destroyed) return;
+    this.setVoiceMessageState('idle');
+
+    if (!text) {
+      this.showPiiWarning(this.t('voice.noSpeech'));
+      return;
+    }
+    this.emit('voice:transcribed', { text });
+    this.elements.inputField.value = text;
+    await this.sendMessage();
+  }
+
+  // Uploads the recording; accepts { text }, { transcript } or { transcription }
+  async transcribeAudio(blob) {
+    const extension = blob.type.includes('ogg') ? 'ogg' : blob.type.includes('mp4') ? 'm4a' : 'webm';
+    const form = new FormData();
+    form.append('file', blob, `voice-message.${extension}`);
+    form.append('session_id', this.sessionId);
+    form.append('language', this.locale);
+
+    const controller = new AbortController();
+    this.activeRequests.add(controller);
+    try {
+      const response = await this.auth.fetch(this.endpoints.chatbot.stt, {
+        method: 'POST',
+        body: form,
+        signal: controller.signal
+      });
+      if (!response.ok) throw new Error(`Transcription failed (${response.status})`);
+      const data = await response.json();
+      return String(data.text ?? data.transcript ?? data.transcription ?? '').trim();
+    } finally {
+      this.activeRequests.delete(controller);
+    }
+  }
+
+  // Voice errors use the same inline notice above the input as PII warnings
+  handleVoiceMessageError(error, stage) {
+    console.error('Voice message error:', error);
+    this.emit('error', { source: 'voice', stage, error });
+
+    let key = 'voice.transcriptionFailed';
+    if (stage === 'microphone') {
+      key = error?.name === 'NotAllowedError' ? 'voice.micDenied' : 'voice.micUnavailable';
+    }
+    this.showPiiWarning(this.t(key));
+  }
+
+  // --- Read Aloud ---
+  setReadAloud(enabled) {
+    this.readAloud = Boolean(enabled);
+    if (!this.readAloud) this.stopSpeaking();
+
+    const button = this.elements.readAloudButton;
+    if (button) {
+      button.setAttribute('aria-pressed', String(this.readAloud));
+      button.classList.toggle('active', this.readAloud);
+      button.textContent = this.readAloud ? '🔊' : '🔈';
+    }
+    this.emit('voice:read-aloud', { enabled: this.readAloud });
+  }
+
+  // New replies are read while the mode is on, except during a voice call
+  readAloudReply(message, messageElement) {
+    if (!this.readAloud || !message.text || message.source === 'voice' || this.voiceCall.isActive()) return;
+    this.speakMessage(message, messageElement.querySelector('.chatbot-message-play'));
+  }
+
+  createPlayButton(message) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'chatbot-message-play';
+    button.textContent = '🔊';
+    button.title = this.t('voice.play');
+    button.setAttribute('aria-label', this.t('voice.play'));
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => {
+      if (this.speech?.button === button) {
+        this.stopSpeaking();
+      } else {
+        this.speakMessage(message, button);
+      }
+    });
+    return button;
+  }
+
+  setPlayButtonState(button, playing) {
+    if (!button) return;
+    const label = this.t(playing ? 'voice.stop' : 'voice.play');
+    button.classList.toggle('playing', playing);
+    button.setAttribute('aria-pressed', String(playing));
+    button.title = label;
+    button.setAttribute('aria-label', label);
+  }
+
+  // Markdown is read as the text it renders to
+  getSpeechText(message) {
+    const element = document.createElement('div');
+    const sanitizerOptions = this.getSanitizerOptions();
+    setSafeHTML(element, renderMarkdown(message.text, sanitizerOptions), sanitizerOptions);
+    return element.textContent.trim();
+  }
+
+  // Accepts audio data, or JSON with { audio_url } or base64 { audio, mime_type }
+  async fetchSpeech(text) {
+    const response = await this.auth.fetch(this.endpoints.chatbot.tts, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, session_id: this.sessionId, language: this.locale })
+    });
+    if (!response.ok) throw new Error(`Speech failed (${response.status})`);
+
+    if (!(response.headers.get('content-type') || '').includes('application/json')) {
+      return URL.createObjectURL(await response.blob());
+    }
+    const data = await response.json();
+    if (data.audio_url) return data.audio_url;
+    if (data.audio) return `data:${data.mime_type || 'audio/mpeg'};base64,${data.audio}`;
+    throw new Error('The speech response has no audio');
+  }
+
+  // Plays one message at a time; starting another stops the current one
+  async speakMessage(message, button = null) {
+    const text = this.getSpeechText(message);
+    if (!text) return;
+
+    this.stopSpeaking();
+    const speech = { message, button, audio: null, url: null };
+    this.speech = speech;
+    this.setPlayButtonState(button, true);
+
+    try {
+      speech.url = await this.fetchSpeech(text);
+      if (this.speech !== speech) {
+        if (speech.url.startsWith('blob:')) URL.revokeObjectURL(speech.url);
+        return;
+      }
+      speech.audio = new Audio(speech.url);
+      speech.audio.addEventListener('ended', () => {
+        if (this.speech === speech) this.stopSpeaking();
+      });
+      await speech.audio.play();
+      this.emit('voice:speaking', { message });
+    } catch (error) {
+      if (this.speech !== speech) return;
+      this.stopSpeaking();
+      console.error('Text-to-speech error:', error);
+      this.emit('error', { source: 'tts', error });
+    }
+  }
+
+  stopSpeaking() {
+    const speech = this.speech;
+    if (!speech) return;
+    this.speech = null;
+    speech.audio?.pause();
+    if (speech.url?.startsWith('blob:')) URL.revokeObjectURL(speech.url);
+    this.setPlayButtonState(speech.button, false);
+  }
+
+  // --- Typing Indicator ---
+  showTypingIndicator() {
+    this.pendingReplies++;
+    if (!this.elements.messagesContainer || this.elements.typingIndicator) return;
+
+    const indicator = document.createElement('div');
+    indicator.className = 'chatbot-typing-indicator';
+    indicator.setAttribute('aria-hidden', 'true');
+    indicator.innerHTML = '<span class="chatbot-typing-dot"></span>'.repeat(3);
+    this.elements.messagesContainer.appendChild(indicator);
+    this.elements.typingIndicator = indicator;
     this.scrollToBottom();
   }
 
+  hideTypingIndicator() {
+    this.pendingReplies = Math.max(0, this.pendingReplies - 1);
+    if (this.pendingReplies === 0) this.removeTypingIndicator();
+  }
+
+  removeTypingIndicator() {
+    if (this.elements.typingIndicator) {
+      this.elements.typingIndicator.remove();
+      this.elements.typingIndicator = null;
+    }
+  }
+
   async sendSuggestions() {
     try {
-      const response = await fetch(this.config.startingUrl, {
+      const response = await this.auth.fetch(this.withSessionId(this.config.startingUrl), {
         method: 'GET',
-        headers: { 
-          'Content-Type': 'application/json',
-          'authorization': `Bearer ${authToken}`
-        },
+        headers: { 'Content-Type': 'application/json' },
       });
 
       if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
 
       const botResponses = await response.json();
       if (botResponses?.length > 0) {
-        console.log(authToken+" --- IGNORE ---");
         botResponses.forEach(response => this.displayMessage({ sender: 'bot', ...response }));
       } else {
-        this.displayMessage({ sender: 'bot', text: "Sorry, I didn't get a response." });
+        this.displayMessage({ sender: 'bot', text: this.t('chat.noResponse') });
       }
     } catch (error) {
       console.error('Chatbot error:', error);
       this.displayMessage({ 
         sender: 'bot', 
-        text: "I'm having trouble connecting. Please try again later." 
+        text: this.t('chat.connectionError')
       });
     }
   }
 
-  async sendMessage(text = null, payload = null) {
+  // options.piiConfirmed skips the PII check when the caller already ran it (e.g. forms)
+  async sendMessage(text = null, payload = null, options = {}) {
     let messageText = text || this.elements.inputField.value.trim();
     if (!messageText && !payload) return;
 
-    const userMessage = { sender: 'user', text: messageText };
-    this.displayMessage(userMessage);
+    if (!this.hasConsent()) {
+      this.queueUntilConsent(() => this.sendMessage(messageText, payload, options));
+      this.showConsent();
+      return;
+    }
+
+    if (!options.piiConfirmed) {
+      const guard = this.checkPii(this.getPiiText(messageText, payload), this.piiWarningText === messageText, 'chat');
+      if (guard.action !== 'allow') {
+        this.piiWarningText = guard.action === 'warn' ? messageText : null;
+        this.showPiiWarning(this.getPiiMessage(guard));
+        return;
+      }
+    }
+    this.hidePiiWarning();
+
+    const messageId = generateUniqueId();
+    const requestBody = await this.buildRequestBody(messageText, payload, messageId);
+    if (!requestBody) return;
+
+    const userMessage = this.displayMessage({
+      id: messageId,
+      sender: 'user',
+      text: messageText,
+      ...(payload && { payload }),
+      status: 'sending'
+    });
     this.elements.inputField.value = '';
+    this.emit('message:sent', { text: messageText, payload, request: requestBody });
+    this.touchSession();
+
+    await this.deliverMessage(userMessage, requestBody);
+  }
 
-    const requestBody = {
+  // beforeSend hooks may enrich the request body or veto the send.
+  // message_id lets the backend drop duplicate deliveries of the same message.
+  buildRequestBody(messageText, payload, messageId) {
+    return runHooksAsync(this.getHooks('beforeSend'), {
       sender: this.sessionId,
+      session_id: this.sessionId,
       message: messageText,
+      message_id: messageId,
       ...(payload && { customData: { payload } })
-    };
+    });
+  }
 
-    try {
-      const response = await fetch(this.config.botUrl, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
-      });
+  // Sends a user message and renders the replies. Messages that cannot be
+  // delivered right now go to the outbox; rejected ones are marked failed.
+  async deliverMessage(userMessage, requestBody, { fromOutbox = false } = {}) {
+    const id = requestBody.message_id;
+    if (this.inFlightMessages.has(id)) return;
+
+    // Keep the order: nothing overtakes messages that are already queued
+    const queuedAhead = !fromOutbox && this.outbox.some(entry => entry.id !== id);
+    if (navigator.onLine === false || queuedAhead) {
+      this.enqueueOutbox(userMessage, requestBody);
+      this.flushOutbox();
+      return;
+    }
 
-      if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+    this.inFlightMessages.add(id);
+    if (userMessage) this.setMessageStatus(userMessage, 'sending');
+    this.showTypingIndicator();
 
-      const botResponses = await response.json();
-      if (botResponses?.length > 0) {
-        console.log(authToken+" --- IGNORE ---");
-        botResponses.forEach(response => this.displayMessage({ sender: 'bot', ...response }));
-      } else {
-        this.displayMessage({ sender: 'bot', text: "Sorry, I didn't get a response." });
-      }
+    let botResponses;
+    try {
+      botResponses = await this.sendWithRetry(requestBody);
     } catch (error) {
       console.error('Chatbot error:', error);
-      this.displayMessage({ 
-        sender: 'bot', 
-        text: "I'm having trouble connecting. Please try again later." 
+      this.clearStreamingMessage();
+      this.hideTypingIndicator();
+      this.emit('error', { source: 'chat', error });
+      if (requestBody.session_id && requestBody.session_id !== this.sessionId) return;
+
+      if (this.isRetryableError(error)) {
+        this.enqueueOutbox(userMessage, requestBody);
+        this.scheduleOutboxFlush();
+      } else {
+        this.removeFromOutbox(id);
+        if (userMessage) this.setMessageStatus(userMessage, 'failed');
+      }
+      return;
+    } finally {
+      this.inFlightMessages.delete(id);
+    }
+
+    // The server has the message from here on; nothing below may resend it
+    this.clearStreamingMessage();
+    this.hideTypingIndicator();
+
+    // The conversation was reset while waiting; the reply belongs to the old session
+    if (requestBody.session_id && requestBody.session_id !== this.sessionId) return;
+
+    this.removeFromOutbox(id);
+    if (userMessage) this.setMessageStatus(userMessage, 'sent');
+    this.displayReplies(botResponses);
+  }
+
+  // A reply that fails to render, e.g. in a throwing beforeRender hook, is
+  // reported without touching the delivered message
+  displayReplies(botResponses) {
+    const replies = botResponses?.length > 0 ? botResponses : [{ text: this.t('chat.noResponse') }];
+    replies.forEach(response => {
+      try {
+        this.displayMessage({ sender: 'bot', ...response });
+      } catch (error) {
+        console.error('Chatbot SDK: could not render a reply', error);
+        this.emit('error', { source: 'render', error });
+      }
+    });
+  }
+
+  // Network errors, timeouts, 5xx, 408 and 429 are worth another try, unless
+  // part of the reply was already streamed: the server has the message then
+  isRetryableError(error) {
+    if (error.streamStarted) return false;
+    return !error.status || error.status >= 500 || [408, 429].includes(error.status);
+  }
+
+  // Retries with exponential backoff
+  async sendWithRetry(requestBody) {
+    const { attempts = 3, baseDelay = 1000, maxDelay = 8000 } = this.config.retry || {};
+
+    let tokenRefreshed = false;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.sendWithTimeout(requestBody);
+      } catch (error) {
+        this.clearStreamingMessage();
+
+        // A rejected token is refreshed once without using up an attempt
+        if (error.status === 401 && !tokenRefreshed && await this.auth.refresh()) {
+          tokenRefreshed = true;
+          attempt--;
+          continue;
+        }
+        if (!this.isRetryableError(error) || attempt >= attempts || this.destroyed) throw error;
+
+        const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        this.log(`Send failed (attempt ${attempt}), retrying in ${delay}ms`);
+        await new Promise(resolve => this.setTimer(resolve, delay));
+      }
+    }
+  }
+
+  // Aborts the request when nothing arrived for config.requestTimeout; every
+  // streamed token restarts the timer, so long replies are not cut off
+  async sendWithTimeout(requestBody) {
+    const controller = new AbortController();
+    const timeout = this.config.requestTimeout || 30000;
+    let timer = this.setTimer(() => controller.abort(), timeout);
+    let streamStarted = false;
+    this.activeRequests.add(controller);
+
+    try {
+      return await this.transport.send(requestBody, {
+        signal: controller.signal,
+        onEvent: () => {
+          streamStarted = true;
+          this.clearTimer(timer);
+          timer = this.setTimer(() => controller.abort(), timeout);
+        },
+        onToken: (token, replyText) => this.updateStreamingMessage(replyText)
       });
+    } catch (error) {
+      if (streamStarted && error && typeof error === 'object') error.streamStarted = true;
+      throw error;
+    } finally {
+      this.clearTimer(timer);
+      this.activeRequests.delete(controller);
+    }
+  }
+
+  // --- Streaming ---
+  // Shows the partial bot reply in a temporary bubble that is updated in place
+  updateStreamingMessage(text) {
+    if (!this.elements.messagesContainer) return;
+
+    if (!this.elements.streamingMessage) {
+      this.removeTypingIndicator();
+      const messageElement = document.createElement('div');
+      messageElement.classList.add('chatbot-message', 'bot', 'streaming');
+      // Only the complete reply is announced by the message log
+      messageElement.setAttribute('aria-hidden', 'true');
+      this.elements.messagesContainer.appendChild(messageElement);
+      this.elements.streamingMessage = messageElement;
+    }
+
+    const sanitizerOptions = this.getSanitizerOptions();
+    setSafeHTML(this.elements.streamingMessage, renderMarkdown(text, sanitizerOptions), sanitizerOptions);
+    this.scrollToBottom();
+  }
+
+  // Removes the temporary bubble; the complete reply is rendered by displayMessage()
+  clearStreamingMessage() {
+    if (this.elements.streamingMessage) {
+      this.elements.streamingMessage.remove();
+      this.elements.streamingMessage = null;
     }
   }
 
   // --- UI Controls ---
   toggleChatWindow() {
     this.isOpen = !this.isOpen;
+    const activeElement = this.elements.root?.activeElement;
+    if (this.isOpen) this.returnFocusTo = activeElement;
+
     this.elements.window.classList.toggle('open', this.isOpen);
+    this.elements.window.setAttribute('aria-hidden', String(!this.isOpen));
     this.elements.bubble.classList.toggle('hidden', this.isOpen);
+    this.elements.bubble.setAttribute('aria-expanded', String(this.isOpen));
+    this.emit(this.isOpen ? 'open' : 'close');
 
     if (this.isOpen) {
-      if (is_first_log_in && authToken) {
-        is_first_log_in = false;
+      if (this.isFirstLogIn && this.auth.isAuthenticated()) {
+        this.isFirstLogIn = false;
         this.sendSuggestions();
       }
       this.stopMessageCycle();
 
-      this.elements.inputField.focus();
+      this.getInitialFocus()?.focus();
       this.scrollToBottom();
     }else {
-        setTimeout(() => {
+        // Focus goes back to where it was before opening, or to the launcher
+        if (this.elements.window.contains(activeElement)) {
+          const target = this.returnFocusTo?.isConnected && !this.elements.window.contains(this.returnFocusTo)
+            ? this.returnFocusTo
+            : this.elements.bubble;
+          target.focus();
+        }
+        this.returnFocusTo = null;
+        this.setTimer(() => {
           if (!this.isOpen) { // Double-check chat is still closed
             this.startMessageCycle();
           }
@@ -1268,6 +3254,32 @@ this.createLoadingSound = () => {
     }
   }
 
+  getInitialFocus() {
+    const overlay = this.elements.termsOverlay;
+    if (this.currentTab === 'chat') {
+      return overlay?.style.display === 'flex' ? overlay.querySelector('.chatbot-terms-accept') : this.elements.inputField;
+    }
+    return this.elements.tabBar.querySelector('.chatbot-tab.active') || this.elements.closeButton;
+  }
+
+  // Keeps Tab and Shift+Tab cycling through the open window
+  trapFocus(e) {
+    if (!this.isOpen) return;
+    const focusable = getFocusableElements(this.elements.window);
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = this.elements.root.activeElement;
+    if (e.shiftKey && (active === first || !this.elements.window.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
   scrollToBottom() {
     if (this.elements.messagesContainer) {
       this.elements.messagesContainer.scrollTop = this.elements.messagesContainer.scrollHeight;
@@ -1275,29 +3287,23 @@ this.createLoadingSound = () => {
   }
 }
 
+ChatbotWidget.instances = [];
+
 // Initialize
+// Auto-boot a default instance from the script tag unless it opts out with
+// "autoBoot": false in its chatbot-config attribute.
+const bootScript = document.currentScript || document.querySelector('script[src*="chatbot.bundle.js"]');
+const bootConfig = ChatbotWidget.readScriptConfig(bootScript);
 
-window.ChatbotSDK = new ChatbotWidget();
-window.ChatbotSDK.init();
+window.ChatbotSDK = bootConfig.autoBoot === false ? null : ChatbotWidget.create(bootConfig);
 
 
 
 (function() {
-  const chatbotContainer = document.getElementById('chatbotContainer');
-
-  // Public function to set the authentication token inside the SDK
+  // Deprecated: use widget.setAuthToken(token) or the authToken / getToken options
   window.setChatbotAuthToken = function(token) {
-    authToken = token;
-    console.log("Chatbot SDK received a token. Saved locally.");
-    console.log("Simulated Chatbot Auth Token:", authToken);
-    
-    // Reload user notifications if widget is open
-    if (window.ChatbotSDK && window.ChatbotSDK.isOpen && authToken && is_first_log_in) {
-        is_first_log_in = false;
-      window.ChatbotSDK.sendSuggestions();
-    }
+    ChatbotWidget.instances.forEach(widget => widget.setAuthToken(token));
   };
-  
-  // Initial chatbot state when the page loads
-  console.log("Chatbot SDK loaded. Chatbot is running but currently unauthenticated.");
-})();
\ No newline at end of file
+})();
+
+export default ChatbotWidget;
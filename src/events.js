@@ -0,0 +1,100 @@
+// src/events.js
+
+/**
+ * Minimal event emitter used for the widget's public events.
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Subscribes to an event.
+   * @param {string} event - The event name (e.g. 'open', 'message:sent').
+   * @param {Function} handler - Called with the event detail.
+   * @returns {Function} A function that removes the subscription.
+   */
+  on(event, handler) {
+    if (typeof handler !== 'function') return () => {};
+    (this.listeners[event] = this.listeners[event] || []).push(handler);
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * Subscribes to the next occurrence of an event only.
+   * @param {string} event - The event name.
+   * @param {Function} handler - Called with the event detail.
+   * @returns {Function} A function that removes the subscription.
+   */
+  once(event, handler) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      handler(...args);
+    };
+    return this.on(event, wrapper);
+  }
+
+  /**
+   * Removes a subscription, or every subscription of the event when no handler is given.
+   * @param {string} event - The event name.
+   * @param {Function} [handler] - The handler passed to on().
+   */
+  off(event, handler) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = handler
+      ? this.listeners[event].filter(listener => listener !== handler)
+      : [];
+  }
+
+  /**
+   * Calls every handler of an event. A throwing handler does not stop the others.
+   * @param {string} event - The event name.
+   * @param {*} [detail] - The event detail.
+   */
+  emit(event, detail) {
+    (this.listeners[event] || []).slice().forEach(handler => {
+      try {
+        handler(detail);
+      } catch (e) {
+        console.error(`Chatbot SDK: "${event}" listener failed`, e);
+      }
+    });
+  }
+
+  removeAll() {
+    this.listeners = {};
+  }
+}
+
+/**
+ * Runs hooks in order. Each hook receives the current value and may return a
+ * replacement, nothing to keep it, or false to veto.
+ * @param {Function[]} hooks - The hooks to run.
+ * @param {*} value - The initial value.
+ * @returns {*} The final value, or null when a hook vetoed.
+ */
+export function runHooks(hooks, value) {
+  let current = value;
+  for (const hook of hooks) {
+    const result = hook(current);
+    if (result === false) return null;
+    if (result !== undefined) current = result;
+  }
+  return current;
+}
+
+/**
+ * Async version of runHooks(); hooks may return promises.
+ * @param {Function[]} hooks - The hooks to run.
+ * @param {*} value - The initial value.
+ * @returns {Promise<*>} The final value, or null when a hook vetoed.
+ */
+export async function runHooksAsync(hooks, value) {
+  let current = value;
+  for (const hook of hooks) {
+    const result = await hook(current);
+    if (result === false) return null;
+    if (result !== undefined) current = result;
+  }
+  return current;
+}
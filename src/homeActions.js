@@ -0,0 +1,88 @@
+// src/homeActions.js
+
+/*
+ * Home actions are the cards on the home tab. Each action is a plain object:
+ *   id           - unique name, also used to override a default action
+ *   icon         - an emoji/text, or an image URL
+ *   title        - a string or a map of locale -> string (or titleKey: a catalog key)
+ *   description  - same as title (or descriptionKey)
+ *   type         - 'payload' | 'url' | 'tab' | 'call' | 'callback'
+ *   payload      - for 'payload': the intent sent to the bot, with message (or messageKey) as the visible text
+ *   url, target  - for 'url'
+ *   tab          - for 'tab'
+ *   callback     - for 'callback': a function, or the name of a function in config.actionHandlers
+ *   order        - cards are sorted by it, ascending
+ *   visibility   - 'always' (default) | 'authenticated' | 'anonymous'
+ *   visible      - optional function (widget) => boolean for custom rules
+ *   enabled      - false hides the action
+ */
+
+export const DEFAULT_HOME_ACTIONS = [
+  { id: 'voice-call', icon: '📞', titleKey: 'actions.call.title', descriptionKey: 'actions.call.desc', type: 'call', order: 10 },
+  { id: 'start-chat', icon: '💬', titleKey: 'actions.chat.title', descriptionKey: 'actions.chat.desc', type: 'tab', tab: 'chat', order: 20 },
+  { id: 'check-products', icon: '🏪', titleKey: 'actions.products.title', descriptionKey: 'actions.products.desc', type: 'payload', messageKey: 'actions.products.message', payload: '/list_product_list', order: 30 },
+  { id: 'contact-us', icon: '✉️', titleKey: 'actions.contact.title', descriptionKey: 'actions.contact.desc', type: 'payload', messageKey: 'actions.contact.message', payload: '/contact_support', order: 40 },
+  { id: 'faq', icon: '❓', titleKey: 'actions.faq.title', descriptionKey: 'actions.faq.desc', type: 'payload', messageKey: 'actions.faq.message', payload: '/show_faq', order: 50 }
+];
+
+/**
+ * Picks the string for a locale from a plain string or a locale map.
+ * @param {string|object} value - A string, or e.g. { en: 'Offers', ar: 'العروض' }.
+ * @param {string} locale - The current locale, e.g. 'ar' or 'ar-EG'.
+ * @returns {string}
+ */
+export function localizeValue(value, locale) {
+  if (value === null || value === undefined) return '';
+  if (typeof value !== 'object') return String(value);
+
+  const language = String(locale || '').split(/[-_]/)[0];
+  return value[locale] ?? value[language] ?? value.en ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Applies the enabled, visibility and visible() rules shared by home actions and tabs.
+ * @param {object} item - A home action or tab.
+ * @param {object} context
+ * @param {boolean} context.authenticated - Whether the user is logged in.
+ * @param {object} [context.widget] - Passed to visible().
+ * @returns {boolean}
+ */
+export function isVisible(item, { authenticated, widget } = {}) {
+  if (item.enabled === false) return false;
+  if (item.visibility === 'authenticated' && !authenticated) return false;
+  if (item.visibility === 'anonymous' && authenticated) return false;
+  if (typeof item.visible === 'function') {
+    try {
+      return Boolean(item.visible(widget));
+    } catch (e) {
+      console.error(`Chatbot SDK: visible() of "${item.id}" failed`, e);
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Merges configured actions over the defaults (by id), drops hidden ones and sorts by order.
+ * @param {object[]} [configured] - config.homeActions.
+ * @param {object} options
+ * @param {boolean} options.authenticated - Whether the user is logged in.
+ * @param {boolean} [options.includeDefaults] - false to use only the configured actions.
+ * @param {object} [options.widget] - Passed to visible() functions.
+ * @returns {object[]} The actions to show.
+ */
+export function resolveHomeActions(configured, { authenticated, includeDefaults = true, widget } = {}) {
+  const actions = new Map();
+  if (includeDefaults) {
+    DEFAULT_HOME_ACTIONS.forEach(action => actions.set(action.id, action));
+  }
+  (Array.isArray(configured) ? configured : []).forEach((action, index) => {
+    if (!action || !action.id) return;
+    const base = actions.get(action.id);
+    actions.set(action.id, { order: 1000 + index, ...base, ...action });
+  });
+
+  return Array.from(actions.values())
+    .filter(action => isVisible(action, { authenticated, widget }))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
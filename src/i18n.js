@@ -0,0 +1,293 @@
+// src/i18n.js
+
+export const DEFAULT_LOCALE = 'en';
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// String catalogs keyed by language. A value may be an array (e.g. teaser messages).
+// {name} placeholders are replaced with the params passed to translate().
+const catalogs = {
+  en: {
+    'header.newConversation': 'New conversation',
+    'header.close': 'Close',
+    'a11y.openChat': 'Open chat',
+    'a11y.tabs': 'Sections',
+    'a11y.messages': 'Conversation',
+    'a11y.messageInput': 'Message',
+    'a11y.callLanguage': 'Call language',
+    'call.language.en': 'English',
+    'call.language.ar': 'Arabic',
+    'home.welcomeTitle': 'Welcome!',
+    'home.welcomeText': 'How can we help you today?',
+    'home.accountTitle': 'Your Account',
+    'actions.call.title': 'Call Us',
+    'actions.call.desc': 'Start a voice conversation with us',
+    'actions.call.connectingTitle': 'Connecting...',
+    'actions.call.connectingDesc': 'Please wait while we connect you',
+    'actions.call.endTitle': 'End Call',
+    'actions.call.endDesc': 'Tap to disconnect the call',
+    'actions.chat.title': 'Start Chat',
+    'actions.chat.desc': 'Begin a conversation with our assistant',
+    'actions.products.title': 'Our Products',
+    'actions.products.desc': 'Explore our product offerings',
+    'actions.products.message': 'Show me your products',
+    'actions.contact.title': 'Contact Us',
+    'actions.contact.desc': 'Get in touch with support',
+    'actions.contact.message': 'I need to contact support',
+    'actions.faq.title': 'FAQ',
+    'actions.faq.desc': 'Find answers to common questions',
+    'actions.faq.message': 'Show me frequently asked questions',
+    'call.precheck.title': 'Before your call',
+    'call.precheck.microphone': 'Microphone',
+    'call.precheck.speaker': 'Speaker',
+    'call.precheck.defaultDevice': 'System default',
+    'call.precheck.deviceFallback': 'Device {number}',
+    'call.precheck.test': 'Test microphone',
+    'call.precheck.testing': 'Listening… say something',
+    'call.precheck.testPassed': 'Your microphone is working.',
+    'call.precheck.start': 'Start call',
+    'call.precheck.cancel': 'Cancel',
+    'call.precheck.permission.granted': 'Microphone access is allowed.',
+    'call.precheck.permission.prompt': 'Your browser will ask for microphone access.',
+    'call.precheck.permission.denied': 'Microphone access is blocked.',
+    'call.precheck.permission.unknown': 'Your browser will ask for microphone access if needed.',
+    'call.error.permission-denied': 'Microphone access was denied. Allow it in your browser settings and try again.',
+    'call.error.no-device': 'No microphone was found. Connect one and try again.',
+    'call.error.device-in-use': 'Your microphone is being used by another application. Close it and try again.',
+    'call.error.silent': "We couldn't hear anything. Check that your microphone is not muted.",
+    'call.error.token': "We couldn't authorize the call. Please try again later.",
+    'call.error.connect': "We couldn't connect to the call server. Check your connection and try again.",
+    'call.error.agent': 'No agent is available right now. Please try again later.',
+    'call.error.unknown': 'The call could not be started. Please try again.',
+    'call.panel': 'Voice call',
+    'call.you': 'You',
+    'call.mute': 'Mute',
+    'call.unmute': 'Unmute',
+    'call.hold': 'Hold',
+    'call.resume': 'Resume',
+    'call.hangUp': 'Hang up',
+    'call.speaking': 'Speaking',
+    'call.state.requesting-mic': 'Waiting for microphone…',
+    'call.state.connecting': 'Connecting…',
+    'call.state.ringing': 'Ringing…',
+    'call.state.connected': 'In call',
+    'call.state.reconnecting': 'Reconnecting…',
+    'call.state.onHold': 'On hold',
+    'chat.placeholder': 'Type your message...',
+    'chat.send': 'Send',
+    'chat.voiceLabel': 'Voice',
+    'voice.record': 'Hold to record a voice message',
+    'voice.recording': 'Recording… release to send',
+    'voice.transcribing': 'Transcribing…',
+    'voice.noSpeech': "We couldn't hear anything. Please try again.",
+    'voice.micDenied': 'Microphone access was denied. Allow it in your browser settings to send voice messages.',
+    'voice.micUnavailable': 'No microphone is available.',
+    'voice.transcriptionFailed': "Your voice message couldn't be transcribed. Please try again.",
+    'voice.readAloud': 'Read replies aloud',
+    'voice.play': 'Play message',
+    'voice.stop': 'Stop playback',
+    'chat.noResponse': "Sorry, I didn't get a response.",
+    'chat.connectionError': "I'm having trouble connecting. Please try again later.",
+    'chat.loadingHistory': 'Loading earlier messages…',
+    'status.sending': 'Sending…',
+    'status.queued': 'Waiting for connection…',
+    'status.sent': 'Sent',
+    'status.failed': 'Not delivered',
+    'status.retry': 'Retry',
+    'terms.title': 'Terms & Conditions',
+    'terms.text': "Before we start, and for your protection, please don't type any account or card numbers on the screen or any of your PINs. Please also note that we will be keeping a record of this conversation for service quality purposes. I am here to help you with general inquiries about the Bank, its products and services. If you need to access your bank accounts or cards,",
+    'terms.notice': 'Dear customer, in order to ensure the confidentiality of your data, please do not share the three numbers on the back of the credit or debit card, the OTP or the password for the smart wallet service or the Internet banking with anyone, whether by phone, text message or e-mail and in case that this data is requested by any means of communication, please contact 19666 as soon as possible.',
+    'terms.accept': 'I Agree',
+    'terms.decline': 'Decline',
+    'tabs.home': 'Home',
+    'tabs.chat': 'Chat',
+    'tabs.announcements': 'News',
+    'announcements.empty': 'No announcements available at the moment.',
+    'announcements.title': 'Announcement',
+    'notifications.viewDetails': 'View Details',
+    'footer.poweredBy': 'Powered by FinovaX ✨',
+    'renderer.viewOnMap': 'View on Map',
+    'renderer.ratePrompt': 'Please rate:',
+    'renderer.submit': 'Submit',
+    'renderer.starLabel': '{value} of {scale} stars',
+    'pii.warning': 'This looks like sensitive data ({types}). For your protection, avoid sharing it here. Send again to share it anyway.',
+    'pii.blocked': 'For your protection, messages with sensitive data ({types}) cannot be sent. Please remove it and try again.',
+    'pii.type.card': 'card number',
+    'pii.type.iban': 'IBAN',
+    'pii.type.code': 'security code',
+    'pii.type.nationalId': 'national ID',
+    'pii.type.custom': 'personal data',
+    'teaser.messages': [
+      '👋 Hi! I can help you',
+      '🛍️ Want to explore our new products?',
+      '🤔 Need help with anything?',
+      '💬 I am here if you have questions!',
+      '🔥 Check out our latest offers!'
+    ]
+  },
+  ar: {
+    'header.newConversation': 'محادثة جديدة',
+    'header.close': 'إغلاق',
+    'a11y.openChat': 'فتح المحادثة',
+    'a11y.tabs': 'الأقسام',
+    'a11y.messages': 'المحادثة',
+    'a11y.messageInput': 'الرسالة',
+    'a11y.callLanguage': 'لغة المكالمة',
+    'call.language.en': 'الإنجليزية',
+    'call.language.ar': 'العربية',
+    'home.welcomeTitle': 'أهلاً بك!',
+    'home.welcomeText': 'كيف يمكننا مساعدتك اليوم؟',
+    'home.accountTitle': 'حسابك',
+    'actions.call.title': 'اتصل بنا',
+    'actions.call.desc': 'ابدأ محادثة صوتية معنا',
+    'actions.call.connectingTitle': 'جارٍ الاتصال...',
+    'actions.call.connectingDesc': 'يرجى الانتظار حتى يتم توصيلك',
+    'actions.call.endTitle': 'إنهاء المكالمة',
+    'actions.call.endDesc': 'اضغط لإنهاء المكالمة',
+    'actions.chat.title': 'ابدأ المحادثة',
+    'actions.chat.desc': 'ابدأ محادثة مع مساعدنا',
+    'actions.products.title': 'منتجاتنا',
+    'actions.products.desc': 'استكشف منتجاتنا',
+    'actions.products.message': 'اعرض لي منتجاتكم',
+    'actions.contact.title': 'تواصل معنا',
+    'actions.contact.desc': 'تواصل مع فريق الدعم',
+    'actions.contact.message': 'أحتاج إلى التواصل مع الدعم',
+    'actions.faq.title': 'الأسئلة الشائعة',
+    'actions.faq.desc': 'اعثر على إجابات للأسئلة الشائعة',
+    'actions.faq.message': 'اعرض لي الأسئلة الشائعة',
+    'call.precheck.title': 'قبل بدء المكالمة',
+    'call.precheck.microphone': 'الميكروفون',
+    'call.precheck.speaker': 'السماعة',
+    'call.precheck.defaultDevice': 'الافتراضي للنظام',
+    'call.precheck.deviceFallback': 'جهاز {number}',
+    'call.precheck.test': 'اختبار الميكروفون',
+    'call.precheck.testing': 'جارٍ الاستماع… قل شيئاً',
+    'call.precheck.testPassed': 'الميكروفون يعمل.',
+    'call.precheck.start': 'بدء المكالمة',
+    'call.precheck.cancel': 'إلغاء',
+    'call.precheck.permission.granted': 'الوصول إلى الميكروفون مسموح.',
+    'call.precheck.permission.prompt': 'سيطلب المتصفح الإذن باستخدام الميكروفون.',
+    'call.precheck.permission.denied': 'الوصول إلى الميكروفون محظور.',
+    'call.precheck.permission.unknown': 'سيطلب المتصفح الإذن باستخدام الميكروفون عند الحاجة.',
+    'call.error.permission-denied': 'تم رفض الوصول إلى الميكروفون. اسمح به من إعدادات المتصفح ثم حاول مجدداً.',
+    'call.error.no-device': 'لم يتم العثور على ميكروفون. قم بتوصيل ميكروفون ثم حاول مجدداً.',
+    'call.error.device-in-use': 'الميكروفون مستخدم من تطبيق آخر. أغلقه ثم حاول مجدداً.',
+    'call.error.silent': 'لم نتمكن من سماع أي شيء. تأكد من أن الميكروفون غير مكتوم.',
+    'call.error.token': 'تعذر تفويض المكالمة. يرجى المحاولة لاحقاً.',
+    'call.error.connect': 'تعذر الاتصال بخادم المكالمات. تحقق من اتصالك ثم حاول مجدداً.',
+    'call.error.agent': 'لا يتوفر موظف حالياً. يرجى المحاولة لاحقاً.',
+    'call.error.unknown': 'تعذر بدء المكالمة. يرجى المحاولة مرة أخرى.',
+    'call.panel': 'مكالمة صوتية',
+    'call.you': 'أنت',
+    'call.mute': 'كتم الصوت',
+    'call.unmute': 'إلغاء الكتم',
+    'call.hold': 'تعليق',
+    'call.resume': 'استئناف',
+    'call.hangUp': 'إنهاء',
+    'call.speaking': 'يتحدث',
+    'call.state.requesting-mic': 'في انتظار الميكروفون…',
+    'call.state.connecting': 'جارٍ الاتصال…',
+    'call.state.ringing': 'جارٍ الرنين…',
+    'call.state.connected': 'في مكالمة',
+    'call.state.reconnecting': 'جارٍ إعادة الاتصال…',
+    'call.state.onHold': 'المكالمة معلقة',
+    'chat.placeholder': 'اكتب رسالتك...',
+    'chat.send': 'إرسال',
+    'chat.voiceLabel': 'صوت',
+    'voice.record': 'اضغط مع الاستمرار لتسجيل رسالة صوتية',
+    'voice.recording': 'جارٍ التسجيل… اترك الزر للإرسال',
+    'voice.transcribing': 'جارٍ تحويل الصوت إلى نص…',
+    'voice.noSpeech': 'لم نتمكن من سماع أي شيء. يرجى المحاولة مرة أخرى.',
+    'voice.micDenied': 'تم رفض الوصول إلى الميكروفون. اسمح به من إعدادات المتصفح لإرسال رسائل صوتية.',
+    'voice.micUnavailable': 'لا يتوفر ميكروفون.',
+    'voice.transcriptionFailed': 'تعذر تحويل رسالتك الصوتية إلى نص. يرجى المحاولة مرة أخرى.',
+    'voice.readAloud': 'قراءة الردود بصوت عالٍ',
+    'voice.play': 'تشغيل الرسالة',
+    'voice.stop': 'إيقاف التشغيل',
+    'chat.noResponse': 'عذراً، لم أتلقَّ رداً.',
+    'chat.connectionError': 'أواجه مشكلة في الاتصال. يرجى المحاولة لاحقاً.',
+    'chat.loadingHistory': 'جارٍ تحميل الرسائل السابقة…',
+    'status.sending': 'جارٍ الإرسال…',
+    'status.queued': 'في انتظار الاتصال…',
+    'status.sent': 'تم الإرسال',
+    'status.failed': 'لم يتم التسليم',
+    'status.retry': 'إعادة المحاولة',
+    'terms.title': 'الشروط والأحكام',
+    'terms.text': 'قبل أن نبدأ، ولحمايتك، يرجى عدم كتابة أي أرقام حسابات أو بطاقات أو أي من أرقامك السرية على الشاشة. يرجى العلم أيضاً بأننا سنحتفظ بسجل لهذه المحادثة لأغراض جودة الخدمة. أنا هنا لمساعدتك في الاستفسارات العامة عن البنك ومنتجاته وخدماته. إذا كنت بحاجة إلى الوصول إلى حساباتك أو بطاقاتك البنكية،',
+    'terms.notice': 'عميلنا العزيز، لضمان سرية بياناتك، يرجى عدم مشاركة الأرقام الثلاثة الموجودة على ظهر بطاقة الائتمان أو الخصم، أو رمز التحقق لمرة واحدة، أو كلمة المرور لخدمة المحفظة الذكية أو الخدمات المصرفية عبر الإنترنت مع أي شخص، سواء عبر الهاتف أو الرسائل النصية أو البريد الإلكتروني، وفي حال طُلبت منك هذه البيانات بأي وسيلة تواصل، يرجى الاتصال على 19666 في أسرع وقت ممكن.',
+    'terms.accept': 'أوافق',
+    'terms.decline': 'رفض',
+    'tabs.home': 'الرئيسية',
+    'tabs.chat': 'المحادثة',
+    'tabs.announcements': 'الأخبار',
+    'announcements.empty': 'لا توجد إعلانات في الوقت الحالي.',
+    'announcements.title': 'إعلان',
+    'notifications.viewDetails': 'عرض التفاصيل',
+    'footer.poweredBy': 'مدعوم من FinovaX ✨',
+    'renderer.viewOnMap': 'عرض على الخريطة',
+    'renderer.ratePrompt': 'يرجى التقييم:',
+    'renderer.submit': 'إرسال',
+    'renderer.starLabel': '{value} من {scale} نجوم',
+    'pii.warning': 'يبدو أن هذه بيانات حساسة ({types}). لحمايتك، تجنب مشاركتها هنا. أرسل مرة أخرى لمشاركتها على أي حال.',
+    'pii.blocked': 'لحمايتك، لا يمكن إرسال رسائل تحتوي على بيانات حساسة ({types}). يرجى حذفها والمحاولة مرة أخرى.',
+    'pii.type.card': 'رقم بطاقة',
+    'pii.type.iban': 'رقم IBAN',
+    'pii.type.code': 'رمز أمان',
+    'pii.type.nationalId': 'رقم قومي',
+    'pii.type.custom': 'بيانات شخصية',
+    'teaser.messages': [
+      '👋 مرحباً، يمكنني مساعدتك!',
+      '🛍️ هل تريد استكشاف منتجاتنا الجديدة؟',
+      '🤔 هل تحتاج مساعدة في أي شيء؟',
+      '💬 أنا هنا إذا كان لديك أسئلة!',
+      '🔥 اطلع على أحدث عروضنا!'
+    ]
+  }
+};
+
+function getLanguage(locale) {
+  return String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Adds or extends a string catalog for every widget on the page.
+ * @param {string} locale - A language code such as 'fr' or 'ar-EG'.
+ * @param {object} strings - Translations keyed like the built-in catalogs.
+ */
+export function registerLocale(locale, strings) {
+  const language = getLanguage(locale);
+  catalogs[language] = { ...(catalogs[language] || {}), ...strings };
+}
+
+/**
+ * @returns {string[]} The languages that have a catalog.
+ */
+export function getAvailableLocales() {
+  return Object.keys(catalogs);
+}
+
+/**
+ * @param {string} locale - A language code such as 'ar' or 'ar-EG'.
+ * @returns {boolean} Whether the locale is written right-to-left.
+ */
+export function isRtlLocale(locale) {
+  return RTL_LANGUAGES.includes(getLanguage(locale));
+}
+
+/**
+ * Looks a key up in the locale's catalog, then in the English one.
+ * @param {string} locale - The locale to translate to.
+ * @param {string} key - The string key, e.g. 'tabs.chat'.
+ * @param {object} [params] - Values for {name} placeholders.
+ * @param {object} [overrides] - Per-widget catalogs keyed by language, checked first.
+ * @returns {string|string[]} The translation, or the key when there is none.
+ */
+export function translate(locale, key, params = {}, overrides = {}) {
+  const language = getLanguage(locale);
+  const sources = [overrides?.[locale], overrides?.[language], catalogs[language], overrides?.[DEFAULT_LOCALE], catalogs[DEFAULT_LOCALE]];
+  const source = sources.find(catalog => catalog && catalog[key] !== undefined);
+  const value = source ? source[key] : key;
+
+  if (typeof value !== 'string') return value;
+  return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
@@ -0,0 +1,142 @@
+// src/markdown.js
+import { escapeHtml } from './utils';
+import { sanitizeUrl } from './sanitizer';
+
+/*
+ * Small markdown renderer for chat messages. The text is HTML-escaped before
+ * any markdown is applied, so the output only contains markup generated here.
+ * Supported: fenced code blocks, headings, ordered and unordered lists,
+ * blockquotes, inline code, bold, italics, strikethrough, links and autolinks.
+ * Single line breaks are kept as <br/>, as chat users expect.
+ */
+
+const FENCE = /^\s*```\s*([\w+-]*)\s*$/;
+const HEADING = /^(#{1,6})\s+(.*)$/;
+const UNORDERED_ITEM = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*(\d+)[.)]\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+
+function isBlockStart(line) {
+  return FENCE.test(line) || HEADING.test(line) || UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line) || QUOTE.test(line);
+}
+
+function renderLink(label, url, options) {
+  const safeUrl = sanitizeUrl(url, options.allowedProtocols);
+  if (safeUrl === null) return label;
+  return `<a href="${safeUrl}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+/**
+ * Renders inline markdown. The input must not be escaped yet.
+ */
+function renderInline(text, options) {
+  const tokens = [];
+  const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+  let html = escapeHtml(text);
+
+  // Code spans first so nothing inside them is formatted
+  html = html.replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`));
+
+  // Links: [text](url); the url may hold one level of balanced parentheses, as in wiki links
+  html = html.replace(/\[([^\]]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g, (match, label, url) => stash(renderLink(label, url, options)));
+
+  // Autolinks; a trailing punctuation mark or escaped quote is not part of the URL
+  html = html.replace(/\bhttps?:\/\/(?:(?!&quot;|&#39;)[^\s<])+/g, (match) => {
+    const url = match.replace(/([.,:;!?)\]]|&quot|&#39)+$/, '');
+    return stash(renderLink(url, url, options)) + match.slice(url.length);
+  });
+
+  // Bold: **text** or __text__
+  html = html.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+  html = html.replace(/(^|[^\w])__(.+?)__(?!\w)/g, '$1<strong>$2</strong>');
+
+  // Italics: *text* or _text_ (not inside snake_case words)
+  html = html.replace(/\*(.+?)\*/g, '<em>$1</em>');
+  html = html.replace(/(^|[^\w])_(.+?)_(?!\w)/g, '$1<em>$2</em>');
+
+  // Strikethrough: ~~text~~
+  html = html.replace(/~~(.+?)~~/g, '<del>$1</del>');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[index]);
+}
+
+/**
+ * Renders markdown to HTML.
+ * @param {string} text - The markdown text.
+ * @param {object} [options]
+ * @param {string[]} [options.allowedProtocols] - Allowed link protocols.
+ * @returns {string} The rendered HTML.
+ */
+export function renderMarkdown(text, options = {}) {
+  if (!text) return '';
+
+  const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) code.push(lines[i++]);
+      i++; // closing fence
+      const langClass = fence[1] ? ` class="language-${escapeHtml(fence[1])}"` : '';
+      blocks.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const level = heading[1].length;
+      blocks.push(`<h${level}>${renderInline(heading[2], options)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (UNORDERED_ITEM.test(line) || ORDERED_ITEM.test(line)) {
+      const ordered = ORDERED_ITEM.test(line);
+      const pattern = ordered ? ORDERED_ITEM : UNORDERED_ITEM;
+      const start = ordered ? parseInt(line.match(ORDERED_ITEM)[1], 10) : 1;
+      const items = [];
+      while (i < lines.length && pattern.test(lines[i])) {
+        const match = lines[i].match(pattern);
+        items.push(`<li>${renderInline(ordered ? match[2] : match[1], options)}</li>`);
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      const startAttr = ordered && start !== 1 ? ` start="${start}"` : '';
+      blocks.push(`<${tag}${startAttr}>${items.join('')}</${tag}>`);
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        const match = lines[i].match(QUOTE);
+        quoted.push(match[1]);
+        i++;
+      }
+      blocks.push(`<blockquote>${renderMarkdown(quoted.join('\n'), options)}</blockquote>`);
+      continue;
+    }
+
+    if (line.trim() === '') {
+      i++;
+      continue;
+    }
+
+    // Paragraph: consecutive plain lines
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() !== '' && !isBlockStart(lines[i])) {
+      paragraph.push(renderInline(lines[i], options));
+      i++;
+    }
+    blocks.push(`<p>${paragraph.join('<br/>')}</p>`);
+  }
+
+  return blocks.join('');
+}
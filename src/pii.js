@@ -0,0 +1,149 @@
+// src/pii.js
+
+/*
+ * Detects sensitive data in text typed by the user: payment card numbers
+ * (Luhn-checked), IBANs (mod-97 checked), CVV/OTP/PIN-like codes that follow a
+ * keyword, and Egyptian national IDs. Custom rules add regular expressions.
+ */
+
+export const PII_TYPES = ['card', 'iban', 'code', 'nationalId'];
+
+const CARD = /\b\d(?:[ -]?\d){12,18}\b/g;
+const IBAN = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}\b/gi;
+// Codes only count after a keyword, so plain amounts and dates are not flagged.
+// The keyword must be a whole word: "shipping 12345" is not a PIN.
+const CODE = /(^|[^A-Za-z])(cvv2?|cvc2?|cvn|otp|pin|passcode|one[- ]time (?:password|code)|verification code|security code|رمز(?: التحقق| الأمان)?|كلمة المرور|الرقم السري)(?![A-Za-z])\D{0,15}?(\d{3,8})(?!\d)/gi;
+// 14 digits: century (2 or 3), YYMMDD, governorate, sequence and check digit
+const NATIONAL_ID = /\b[23]\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\d{7}\b/g;
+
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function isValidIban(value) {
+  const iban = value.replace(/ /g, '').toUpperCase();
+  if (iban.length < 15 || iban.length > 34) return false;
+
+  // Move the country code and check digits to the end, letters become 10..35
+  const rearranged = iban.slice(4) + iban.slice(0, 4);
+  let remainder = 0;
+  for (const char of rearranged) {
+    const code = /[A-Z]/.test(char) ? String(char.charCodeAt(0) - 55) : char;
+    for (const digit of code) {
+      remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+  }
+  return remainder === 1;
+}
+
+function findAll(pattern, text, type, accept = () => true) {
+  const matches = [];
+  pattern.lastIndex = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0] === '') {
+      pattern.lastIndex++;
+      continue;
+    }
+    if (accept(match[0])) {
+      matches.push({ type, start: match.index, end: match.index + match[0].length, value: match[0] });
+    }
+  }
+  return matches;
+}
+
+function findCodes(text) {
+  const matches = [];
+  CODE.lastIndex = 0;
+  let match;
+  while ((match = CODE.exec(text)) !== null) {
+    const code = match[3];
+    const end = match.index + match[0].length;
+    matches.push({ type: 'code', start: end - code.length, end, value: code });
+  }
+  return matches;
+}
+
+function compileRule(rule) {
+  if (!rule || !rule.pattern) return null;
+  try {
+    const source = rule.pattern instanceof RegExp ? rule.pattern.source : String(rule.pattern);
+    const flags = rule.pattern instanceof RegExp ? rule.pattern.flags : (rule.flags || '');
+    return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+  } catch (e) {
+    console.warn(`Chatbot SDK: invalid PII rule "${rule.name}"`);
+    return null;
+  }
+}
+
+/**
+ * Finds sensitive data in a text.
+ * @param {string} text - The text to scan.
+ * @param {object} [options]
+ * @param {object} [options.rules] - Built-in detectors to turn off, e.g. { code: false }.
+ * @param {object[]} [options.customRules] - Extra rules: { name, pattern (string or RegExp), flags }.
+ * @returns {object[]} Non-overlapping matches { type, start, end, value }, in text order.
+ */
+export function detectPii(text, { rules = {}, customRules = [] } = {}) {
+  if (!text) return [];
+  const value = String(text);
+  const enabled = (type) => rules[type] !== false;
+
+  // Earlier detectors win when matches overlap
+  const candidates = [
+    ...(enabled('card') ? findAll(CARD, value, 'card', match => passesLuhn(match.replace(/\D/g, ''))) : []),
+    ...(enabled('iban') ? findAll(IBAN, value, 'iban', isValidIban) : []),
+    ...(enabled('nationalId') ? findAll(NATIONAL_ID, value, 'nationalId') : []),
+    ...(enabled('code') ? findCodes(value) : []),
+    ...customRules.flatMap(rule => {
+      const pattern = compileRule(rule);
+      return pattern ? findAll(pattern, value, rule.name || 'custom') : [];
+    })
+  ];
+
+  const matches = [];
+  candidates.forEach(candidate => {
+    const overlaps = matches.some(match => candidate.start < match.end && match.start < candidate.end);
+    if (!overlaps) matches.push(candidate);
+  });
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replaces detected values with bullets. Card numbers and IBANs keep their last four characters.
+ * @param {string} text - The original text.
+ * @param {object[]} matches - The result of detectPii() for this text.
+ * @returns {string} The masked text.
+ */
+export function maskPii(text, matches) {
+  if (!text || !matches?.length) return text;
+
+  let masked = '';
+  let position = 0;
+  matches.forEach(match => {
+    const keep = match.type === 'card' || match.type === 'iban' ? 4 : 0;
+    const chars = Array.from(match.value);
+    let visible = keep;
+    const hidden = chars.reverse().map(char => {
+      if (!/[A-Za-z0-9]/.test(char)) return char;
+      if (visible > 0) {
+        visible--;
+        return char;
+      }
+      return '•';
+    }).reverse().join('');
+
+    masked += text.slice(position, match.start) + hidden;
+    position = match.end;
+  });
+  return masked + text.slice(position);
+}
@@ -1,25 +1,47 @@
 
 // src/renderer.js
-import { loadScript } from './utils';
+import { generateUniqueId, loadScript, makeActivatable } from './utils';
+import { sanitizeUrl, setSafeHTML } from './sanitizer';
+import { DEFAULT_LOCALE, translate } from './i18n';
 
-// Get reference to the chatbot instance
-const getChatbot = () => window.ChatbotSDK || { config: {} };
+/**
+ * Builds the context handed to every component renderer. The config is read
+ * lazily so that refreshed configs are picked up by late event handlers.
+ * @param {object} [chatbot] - The widget instance that owns the message
+ * @param {Function} [sendMessageCallback] - Sends a message on behalf of the user
+ * @param {object} [message] - The message being rendered
+ * @param {object} [styleOverrides] - Style overrides from the message data
+ */
+function createRenderContext(chatbot, sendMessageCallback, message = null, styleOverrides = {}) {
+  const ctx = {
+    chatbot,
+    get config() {
+      return chatbot?.config || {};
+    },
+    send: sendMessageCallback,
+    message,
+    styleOverrides: styleOverrides || {},
+    t: (key, params) => (chatbot?.t ? chatbot.t(key, params) : translate(DEFAULT_LOCALE, key, params)),
+    applyStyles: (element, component, elementType, messageStyles) =>
+      applyStyles(ctx, element, component, elementType, messageStyles)
+  };
+  return ctx;
+}
 
 /**
  * Applies styles to an element with priority to message-specific styles
+ * @param {object} ctx - The render context
  * @param {HTMLElement} element - The element to style
  * @param {string} component - The component type (e.g., 'buttons', 'carousel')
  * @param {string} elementType - The specific element type (e.g., 'container', 'button')
  * @param {object} [messageStyles] - Style overrides from message data (highest priority)
  */
-function applyStyles(element, component, elementType, messageStyles = {}) {
-  const chatbot = getChatbot();
-  
+function applyStyles(ctx, element, component, elementType, messageStyles = {}) {
   // Get base styles from config if they exist
-  const configStyles = chatbot.config.style?.components?.[component]?.[elementType] || {};
+  const configStyles = ctx.config.style?.components?.[component]?.[elementType] || {};
   
   // Get global message styles if they exist
-  const globalStyles = chatbot.config.style?.messages || {};
+  const globalStyles = ctx.config.style?.messages || {};
   
   // Merge styles with message styles taking priority
   const styles = {
@@ -77,71 +99,112 @@ function getDefaultStyles(component, elementType, globalStyles) {
   return defaults;
 }
 
+// --- Renderer Registry ---
+// Types are top-level message keys ('buttons') or keys of message.custom
+// prefixed with 'custom.' ('custom.rating'). Lookups go instance -> global -> built-in.
+const builtInRenderers = new Map([
+  ['buttons', (buttons, ctx) => createButtons(ctx, buttons, ctx.styleOverrides)],
+  ['image', (image, ctx) => createImage(ctx, image, ctx.styleOverrides)],
+  ['video', (video, ctx) => createVideo(ctx, video, ctx.styleOverrides)],
+  ['carousel', (carousel, ctx) => createCarousel(ctx, carousel, ctx.styleOverrides)],
+  ['custom.locations', (locations, ctx) => createLocationsMap(ctx, locations, ctx.styleOverrides)],
+  ['custom.faq_list', (faqs, ctx) => createFaqList(ctx, faqs, ctx.styleOverrides)],
+  ['custom.table', (table, ctx) => createTable(ctx, table, ctx.styleOverrides)],
+  ['custom.rating', (rating, ctx) => createRating(ctx, rating, ctx.styleOverrides)],
+  ['custom.forms', (forms, ctx) => createDynamicForm(ctx, forms, ctx.styleOverrides)],
+  ['custom.video', (video, ctx) => createVideo(ctx, video, ctx.styleOverrides)],
+]);
+
+const globalRenderers = new Map();
+
 /**
- * Renders various message types with configured styling
+ * Registers a renderer for a message type, replacing any built-in one.
+ * The renderer is called as renderer(payload, ctx) and returns an element or null.
+ * ctx provides send(text, payload), applyStyles(element, component, elementType, styles),
+ * styleOverrides, message, config and chatbot.
+ * @param {string} type - A top-level message key or 'custom.<key>'.
+ * @param {Function} renderer - The renderer function.
+ * @param {Map} [registry] - The registry to add to; defaults to the global one.
+ * @returns {Function} A function that removes the registration.
  */
-export function renderMessage(messageData, type, sendMessageCallback = null) {
-  switch (type) {
-    case 'buttons':
-      return createButtons(messageData.buttons, sendMessageCallback, messageData.style);
-    case 'image':
-      return createImage(messageData.image, messageData.style);
-    case 'video':
-      return createVideo(messageData.video, messageData.style);
-    case 'carousel':
-      return createCarousel(messageData.carousel, sendMessageCallback, messageData.style);
-    default:
-      return null;
+export function registerRenderer(type, renderer, registry = globalRenderers) {
+  if (typeof renderer !== 'function') {
+    throw new TypeError(`Chatbot SDK: renderer for "${type}" must be a function`);
+  }
+  registry.set(type, renderer);
+  return () => {
+    if (registry.get(type) === renderer) registry.delete(type);
+  };
+}
+
+function resolveRenderer(type, chatbot) {
+  return chatbot?.renderers?.get(type) || globalRenderers.get(type) || builtInRenderers.get(type);
+}
+
+function rendererTypes(chatbot) {
+  return [...new Set([
+    ...builtInRenderers.keys(),
+    ...globalRenderers.keys(),
+    ...(chatbot?.renderers?.keys() || [])
+  ])];
+}
+
+function runRenderer(type, payload, ctx) {
+  try {
+    return resolveRenderer(type, ctx.chatbot)(payload, ctx) || null;
+  } catch (error) {
+    console.error(`Chatbot SDK: renderer for "${type}" failed`, error);
+    ctx.chatbot?.emit?.('error', { source: 'renderer', type, error });
+    return null;
   }
 }
 
 /**
- * Renders custom payload types with configured styling
+ * Renders every registered payload type present on a message, in registry order.
+ * @param {object} message - The message data.
+ * @param {Function} [sendMessageCallback] - Sends a message on behalf of the user.
+ * @param {object} [chatbot] - The widget instance that owns the message.
+ * @returns {HTMLElement[]} The rendered elements.
  */
-export function renderCustomPayload(customPayload, sendMessageCallback = null) {
-    if (!customPayload) return null;
+export function renderMessageContent(message, sendMessageCallback = null, chatbot = null) {
+  const types = rendererTypes(chatbot);
+  const elements = [];
+
+  const messageCtx = createRenderContext(chatbot, sendMessageCallback, message, message.style);
+  types.filter(type => !type.startsWith('custom.')).forEach(type => {
+    if (message[type] === undefined || message[type] === null) return;
+    const element = runRenderer(type, message[type], messageCtx);
+    if (element) elements.push(element);
+  });
 
+  const customPayload = message.custom;
+  if (customPayload) {
+    const customCtx = createRenderContext(chatbot, sendMessageCallback, message, customPayload.style);
     const customContainer = document.createElement('div');
     customContainer.classList.add('chatbot-custom-payload');
-    applyStyles(customContainer, 'custom', 'container', customPayload.style);
+    applyStyles(customCtx, customContainer, 'custom', 'container', customPayload.style);
 
-    if (customPayload.locations) {
-        const mapEl = createLocationsMap(customPayload.locations, customPayload.style);
-        if (mapEl) customContainer.appendChild(mapEl);
-    }
-    if (customPayload.faq_list) {
-        const faqEl = createFaqList(customPayload.faq_list, customPayload.style);
-        if (faqEl) customContainer.appendChild(faqEl);
-    }
-    if (customPayload.table) {
-        const tableEl = createTable(customPayload.table, customPayload.style);
-        if (tableEl) customContainer.appendChild(tableEl);
-    }
-    if (customPayload.rating) {
-        const ratingEl = createRating(customPayload.rating, sendMessageCallback, customPayload.style);
-        if (ratingEl) customContainer.appendChild(ratingEl);
-    }
-    if (customPayload.forms) {
-        const formEl = createDynamicForm(customPayload.forms, sendMessageCallback, customPayload.style);
-        if (formEl) customContainer.appendChild(formEl);
-    }
-    if (customPayload.video) {
-        const videoEl = createVideo(customPayload.video, customPayload.style);
-        if (videoEl) customContainer.appendChild(videoEl);
-        
-    }
+    types.filter(type => type.startsWith('custom.')).forEach(type => {
+      const value = customPayload[type.slice('custom.'.length)];
+      if (value === undefined || value === null) return;
+      const element = runRenderer(type, value, customCtx);
+      if (element) customContainer.appendChild(element);
+    });
+
+    if (customContainer.children.length > 0) elements.push(customContainer);
+  }
 
-    return customContainer.children.length > 0 ? customContainer : null;
+  return elements;
 }
 
 // --- Component Creation Functions ---
 
-function createButtons(buttons, sendMessageCallback, styleOverrides = {}) {
+function createButtons(ctx, buttons, styleOverrides = {}) {
   if (!buttons || buttons.length === 0) return null;
   
   const container = document.createElement('div');
   container.className = 'chatbot-button-container';
-  applyStyles(container, 'buttons', 'container', styleOverrides.container);
+  applyStyles(ctx, container, 'buttons', 'container', styleOverrides.container);
 
   buttons.forEach(btn => {
     const button = document.createElement('button');
@@ -149,7 +212,7 @@ function createButtons(buttons, sendMessageCallback, styleOverrides = {}) {
     button.className = 'chatbot-button';
     
     // Apply button styles with proper priority
-    applyStyles(button, 'buttons', 'button', {
+    applyStyles(ctx, button, 'buttons', 'button', {
       // From button-specific config in message
       ...(btn.button_color && { backgroundColor: btn.button_color }),
       ...(btn.button_color && { color: 'white' }),
@@ -161,14 +224,17 @@ function createButtons(buttons, sendMessageCallback, styleOverrides = {}) {
     if (btn.payload) {
       button.addEventListener('click', () => {
         container.querySelectorAll('button').forEach(b => b.disabled = true);
-        if (sendMessageCallback) sendMessageCallback(btn.title, btn.payload);
+        if (ctx.send) ctx.send(btn.title, btn.payload);
       });
     } else if (btn.url) {
-      button.addEventListener('click', () => window.open(btn.url, '_blank'));
+      button.addEventListener('click', () => {
+        const url = sanitizeUrl(btn.url, ctx.config.allowedLinkProtocols);
+        if (url) window.open(url, '_blank', 'noopener');
+      });
     } else if (btn.question) {
       button.addEventListener('click', () => {
         container.querySelectorAll('button').forEach(b => b.disabled = true);
-        if (sendMessageCallback) sendMessageCallback(btn.title, btn.question);
+        if (ctx.send) ctx.send(btn.title, btn.question);
       });
     }
     
@@ -178,18 +244,18 @@ function createButtons(buttons, sendMessageCallback, styleOverrides = {}) {
   return container;
 }
 
-function createImage(imageUrl, styleOverrides = {}) {
+function createImage(ctx, imageUrl, styleOverrides = {}) {
   if (!imageUrl) return null;
   
   const img = document.createElement('img');
   img.src = imageUrl;
   img.className = 'chatbot-image';
-  applyStyles(img, 'image', 'image', styleOverrides);
+  applyStyles(ctx, img, 'image', 'image', styleOverrides);
   
   return img;
 }
 
-function createVideo(videoObj, styleOverrides = {}) {
+function createVideo(ctx, videoObj, styleOverrides = {}) {
   if (!videoObj.url) return null;
 
   // Check if the URL is a YouTube link
@@ -237,46 +303,46 @@ function createVideo(videoObj, styleOverrides = {}) {
 
 
 
-function createCarousel(carouselItems, sendMessageCallback, styleOverrides = {}) {
+function createCarousel(ctx, carouselItems, styleOverrides = {}) {
   if (!carouselItems || carouselItems.length === 0) return null;
   
   const container = document.createElement('div');
   container.className = 'chatbot-carousel-container';
-  applyStyles(container, 'carousel', 'container', styleOverrides.container);
+  applyStyles(ctx, container, 'carousel', 'container', styleOverrides.container);
 
   carouselItems.forEach(item => {
     const card = document.createElement('div');
     card.className = 'chatbot-carousel-card';
-    applyStyles(card, 'carousel', 'card', styleOverrides.card);
+    applyStyles(ctx, card, 'carousel', 'card', styleOverrides.card);
 
     if (item.image_url) {
       const img = document.createElement('img');
       img.src = item.image_url;
       img.className = 'chatbot-carousel-card-image';
-      applyStyles(img, 'carousel', 'cardImage', styleOverrides.cardImage);
+      applyStyles(ctx, img, 'carousel', 'cardImage', styleOverrides.cardImage);
       card.appendChild(img);
     }
 
     const content = document.createElement('div');
     content.className = 'chatbot-carousel-card-content';
-    applyStyles(content, 'carousel', 'cardContent', styleOverrides.content);
+    applyStyles(ctx, content, 'carousel', 'cardContent', styleOverrides.content);
 
     const title = document.createElement('h3');
     title.className = 'chatbot-carousel-card-title';
     title.textContent = item.title;
-    applyStyles(title, 'carousel', 'cardTitle', styleOverrides.title);
+    applyStyles(ctx, title, 'carousel', 'cardTitle', styleOverrides.title);
     content.appendChild(title);
 
     if (item.subtitle) {
       const subtitle = document.createElement('p');
       subtitle.className = 'chatbot-carousel-card-subtitle';
       subtitle.textContent = item.subtitle;
-      applyStyles(subtitle, 'carousel', 'cardSubtitle', styleOverrides.subtitle);
+      applyStyles(ctx, subtitle, 'carousel', 'cardSubtitle', styleOverrides.subtitle);
       content.appendChild(subtitle);
     }
 
     if (item.buttons?.length > 0) {
-      const buttonsContainer = createButtons(item.buttons, sendMessageCallback, {
+      const buttonsContainer = createButtons(ctx, item.buttons, {
         ...styleOverrides,
         button: {
           ...(item.button_style || {})
@@ -292,12 +358,12 @@ function createCarousel(carouselItems, sendMessageCallback, styleOverrides = {})
   return container;
 }
 
-function createLocationsMap(locations, styleOverrides = {}) {
+function createLocationsMap(ctx, locations, styleOverrides = {}) {
   if (!locations || locations.length === 0) return null;
 
   const locationContainer = document.createElement('div');
   locationContainer.className = 'chatbot-location-cards';
-  applyStyles(locationContainer, 'locations', 'container', styleOverrides.container);
+  applyStyles(ctx, locationContainer, 'locations', 'container', styleOverrides.container);
 
   locations.forEach(location => {
     const mapUrl = `https://www.google.com/maps?q=${location.lat},${location.lng}`;
@@ -305,26 +371,26 @@ function createLocationsMap(locations, styleOverrides = {}) {
 
     const card = document.createElement('div');
     card.className = 'chatbot-location-card';
-    applyStyles(card, 'locations', 'card', styleOverrides.card);
+    applyStyles(ctx, card, 'locations', 'card', styleOverrides.card);
 
     // Map image
     const img = document.createElement('img');
     img.src = staticMap;
     img.alt = `${location.name} map`;
     img.className = 'chatbot-location-map';
-    applyStyles(img, 'locations', 'map', styleOverrides.map);
+    applyStyles(ctx, img, 'locations', 'map', styleOverrides.map);
     card.appendChild(img);
 
     // Card body
     const body = document.createElement('div');
     body.className = 'chatbot-location-body';
-    applyStyles(body, 'locations', 'body', styleOverrides.body);
+    applyStyles(ctx, body, 'locations', 'body', styleOverrides.body);
 
     // Title
     const title = document.createElement('div');
     title.className = 'chatbot-location-title';
     title.textContent = location.name;
-    applyStyles(title, 'locations', 'title', styleOverrides.title);
+    applyStyles(ctx, title, 'locations', 'title', styleOverrides.title);
     body.appendChild(title);
 
     // Address
@@ -332,7 +398,7 @@ function createLocationsMap(locations, styleOverrides = {}) {
       const address = document.createElement('div');
       address.className = 'chatbot-location-address';
       address.textContent = location.address;
-      applyStyles(address, 'locations', 'address', styleOverrides.address);
+      applyStyles(ctx, address, 'locations', 'address', styleOverrides.address);
       body.appendChild(address);
     }
 
@@ -340,11 +406,12 @@ function createLocationsMap(locations, styleOverrides = {}) {
     const button = document.createElement('a');
     button.href = mapUrl;
     button.target = '_blank';
+    button.rel = 'noopener';
     button.className = 'chatbot-location-button';
-    button.textContent = 'View on Map';
-    applyStyles(button, 'locations', 'button', {
-      backgroundColor: getChatbot().config.style?.messages?.buttonColor,
-      color: getChatbot().config.style?.messages?.buttonTextColor,
+    button.textContent = ctx.t('renderer.viewOnMap');
+    applyStyles(ctx, button, 'locations', 'button', {
+      backgroundColor: ctx.config.style?.messages?.buttonColor,
+      color: ctx.config.style?.messages?.buttonTextColor,
       ...styleOverrides.button
     });
     body.appendChild(button);
@@ -356,36 +423,41 @@ function createLocationsMap(locations, styleOverrides = {}) {
   return locationContainer;
 }
 
-function createFaqList(faqs, styleOverrides = {}) {
+function createFaqList(ctx, faqs, styleOverrides = {}) {
     if (!faqs || faqs.length === 0) return null;
     
     const container = document.createElement('div');
     container.className = 'chatbot-faq-list-container';
-    applyStyles(container, 'faq', 'container', styleOverrides.container);
+    applyStyles(ctx, container, 'faq', 'container', styleOverrides.container);
 
     faqs.forEach((faq, index) => {
         const item = document.createElement('div');
         item.className = 'chatbot-faq-item';
-        applyStyles(item, 'faq', 'item', styleOverrides.item);
+        applyStyles(ctx, item, 'faq', 'item', styleOverrides.item);
 
         const question = document.createElement('div');
         question.className = 'chatbot-faq-question';
         question.textContent = faq.question;
-        applyStyles(question, 'faq', 'question', styleOverrides.question);
+        applyStyles(ctx, question, 'faq', 'question', styleOverrides.question);
         item.appendChild(question);
 
         const answer = document.createElement('div');
         answer.className = 'chatbot-faq-answer';
-        answer.innerHTML = faq.answer;
-        applyStyles(answer, 'faq', 'answer', styleOverrides.answer);
+        setSafeHTML(answer, faq.answer, { allowedProtocols: ctx.config.allowedLinkProtocols });
+        applyStyles(ctx, answer, 'faq', 'answer', styleOverrides.answer);
         item.appendChild(answer);
 
-        question.addEventListener('click', () => {
+        // The question is a disclosure button for its answer
+        answer.id = `chatbot-faq-answer-${generateUniqueId()}`;
+        question.setAttribute('aria-controls', answer.id);
+        question.setAttribute('aria-expanded', 'false');
+        makeActivatable(question, () => {
             item.classList.toggle('expanded');
+            question.setAttribute('aria-expanded', String(item.classList.contains('expanded')));
             if (item.classList.contains('expanded')) {
-                applyStyles(answer, 'faq', 'expandedAnswer', styleOverrides.expandedAnswer);
+                applyStyles(ctx, answer, 'faq', 'expandedAnswer', styleOverrides.expandedAnswer);
             } else {
-                applyStyles(answer, 'faq', 'answer', styleOverrides.answer);
+                applyStyles(ctx, answer, 'faq', 'answer', styleOverrides.answer);
             }
         });
         
@@ -395,25 +467,25 @@ function createFaqList(faqs, styleOverrides = {}) {
     return container;
 }
 
-function createTable(tableData, styleOverrides = {}) {
+function createTable(ctx, tableData, styleOverrides = {}) {
     if (!tableData || !tableData.headers || !tableData.rows) return null;
 
     const container = document.createElement('div');
     container.className = 'chatbot-table-container';
-    applyStyles(container, 'table', 'container', styleOverrides.container);
+    applyStyles(ctx, container, 'table', 'container', styleOverrides.container);
 
     const table = document.createElement('table');
     table.className = 'chatbot-table';
-    applyStyles(table, 'table', 'table', styleOverrides.table);
+    applyStyles(ctx, table, 'table', 'table', styleOverrides.table);
 
     const thead = document.createElement('thead');
     const headerRow = document.createElement('tr');
     tableData.headers.forEach(headerText => {
         const th = document.createElement('th');
         th.textContent = headerText;
-        applyStyles(th, 'table', 'header', {
-          backgroundColor: getChatbot().config.style?.messages?.buttonColor,
-          color: getChatbot().config.style?.messages?.buttonTextColor,
+        applyStyles(ctx, th, 'table', 'header', {
+          backgroundColor: ctx.config.style?.messages?.buttonColor,
+          color: ctx.config.style?.messages?.buttonTextColor,
           ...styleOverrides.header
         });
         headerRow.appendChild(th);
@@ -427,7 +499,7 @@ function createTable(tableData, styleOverrides = {}) {
         rowData.forEach(cellData => {
             const td = document.createElement('td');
             td.textContent = cellData;
-            applyStyles(td, 'table', 'cell', styleOverrides.cell);
+            applyStyles(ctx, td, 'table', 'cell', styleOverrides.cell);
             tr.appendChild(td);
         });
         tbody.appendChild(tr);
@@ -438,30 +510,44 @@ function createTable(tableData, styleOverrides = {}) {
     return container;
 }
 
-function createRating(ratingData, sendMessageCallback, styleOverrides = {}) {
+function createRating(ctx, ratingData, styleOverrides = {}) {
     if (!ratingData || !ratingData.scale) return null;
 
     const container = document.createElement('div');
     container.className = 'chatbot-rating-container';
-    applyStyles(container, 'rating', 'container', styleOverrides.container);
+    applyStyles(ctx, container, 'rating', 'container', styleOverrides.container);
 
     const title = document.createElement('div');
     title.className = 'chatbot-rating-title';
-    title.textContent = ratingData.title || 'Please rate:';
-    applyStyles(title, 'rating', 'title', styleOverrides.title);
+    title.textContent = ratingData.title || ctx.t('renderer.ratePrompt');
+    applyStyles(ctx, title, 'rating', 'title', styleOverrides.title);
     container.appendChild(title);
 
     const starsContainer = document.createElement('div');
     starsContainer.className = 'chatbot-stars';
-    applyStyles(starsContainer, 'rating', 'starsContainer', styleOverrides.starsContainer);
+    starsContainer.setAttribute('role', 'radiogroup');
+    starsContainer.setAttribute('aria-label', title.textContent);
+    applyStyles(ctx, starsContainer, 'rating', 'starsContainer', styleOverrides.starsContainer);
     let selectedRating = 0;
 
+    // Stars form a radio group: one tab stop, arrow keys move between values
+    const getStar = value => starsContainer.querySelector(`[data-value="${value}"]`);
+    const focusStar = value => {
+        const star = getStar(Math.min(ratingData.scale, Math.max(1, value)));
+        starsContainer.querySelectorAll('span').forEach(s => { s.tabIndex = s === star ? 0 : -1; });
+        star.focus();
+    };
+
     for (let i = ratingData.scale; i >= 1; i--) {
         const star = document.createElement('span');
-        star.innerHTML = '&#9733;';
+        star.textContent = '★';
         star.dataset.value = i;
-        applyStyles(star, 'rating', 'star', {
-          color: getChatbot().config.style?.messages?.buttonColor,
+        star.setAttribute('role', 'radio');
+        star.setAttribute('aria-checked', 'false');
+        star.setAttribute('aria-label', ctx.t('renderer.starLabel', { value: i, scale: ratingData.scale }));
+        star.tabIndex = i === 1 ? 0 : -1;
+        applyStyles(ctx, star, 'rating', 'star', {
+          color: ctx.config.style?.messages?.buttonColor,
           ...styleOverrides.star
         });
 
@@ -469,8 +555,8 @@ function createRating(ratingData, sendMessageCallback, styleOverrides = {}) {
             starsContainer.querySelectorAll('span').forEach(s => {
                 if (parseInt(s.dataset.value) >= i) {
                     s.classList.add('hover');
-                    applyStyles(s, 'rating', 'starHover', {
-                      color: getChatbot().config.style?.themeColor,
+                    applyStyles(ctx, s, 'rating', 'starHover', {
+                      color: ctx.config.style?.themeColor,
                       ...styleOverrides.starHover
                     });
                 }
@@ -480,32 +566,48 @@ function createRating(ratingData, sendMessageCallback, styleOverrides = {}) {
         star.addEventListener('mouseout', () => {
             starsContainer.querySelectorAll('span').forEach(s => {
                 s.classList.remove('hover');
-                applyStyles(s, 'rating', 'star', {
-                  color: getChatbot().config.style?.messages?.buttonColor,
+                applyStyles(ctx, s, 'rating', 'star', {
+                  color: ctx.config.style?.messages?.buttonColor,
                   ...styleOverrides.star
                 });
             });
         });
 
+        star.addEventListener('keydown', (e) => {
+            const steps = { ArrowRight: 1, ArrowUp: 1, ArrowLeft: -1, ArrowDown: -1 };
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                star.click();
+            } else if (steps[e.key]) {
+                e.preventDefault();
+                focusStar(i + steps[e.key]);
+            } else if (e.key === 'Home' || e.key === 'End') {
+                e.preventDefault();
+                focusStar(e.key === 'Home' ? 1 : ratingData.scale);
+            }
+        });
+
         star.addEventListener('click', () => {
             selectedRating = i;
             starsContainer.querySelectorAll('span').forEach(s => {
+                s.setAttribute('aria-checked', String(s === star));
+                s.tabIndex = s === star ? 0 : -1;
                 if (parseInt(s.dataset.value) <= selectedRating) {
                     s.classList.add('selected');
-                    applyStyles(s, 'rating', 'starSelected', {
-                      color: getChatbot().config.style?.themeColor,
+                    applyStyles(ctx, s, 'rating', 'starSelected', {
+                      color: ctx.config.style?.themeColor,
                       ...styleOverrides.starSelected
                     });
                 } else {
                     s.classList.remove('selected');
-                    applyStyles(s, 'rating', 'star', {
-                      color: getChatbot().config.style?.messages?.buttonColor,
+                    applyStyles(ctx, s, 'rating', 'star', {
+                      color: ctx.config.style?.messages?.buttonColor,
                       ...styleOverrides.star
                     });
                 }
             });
-            if (sendMessageCallback) {
-                sendMessageCallback(`Rated ${selectedRating} stars`, `/rate_service{"rating":${selectedRating}}`);
+            if (ctx.send) {
+                ctx.send(`Rated ${selectedRating} stars`, `/rate_service{"rating":${selectedRating}}`);
             }
         });
         starsContainer.appendChild(star);
@@ -514,35 +616,46 @@ function createRating(ratingData, sendMessageCallback, styleOverrides = {}) {
     return container;
 }
 
-function createDynamicForm(formData, sendMessageCallback, styleOverrides = {}) {
+function showFormWarning(form, submitButton, text) {
+  let warning = form.querySelector('.chatbot-pii-warning');
+  if (!warning) {
+    warning = document.createElement('div');
+    warning.className = 'chatbot-pii-warning';
+    warning.setAttribute('role', 'alert');
+    submitButton.before(warning);
+  }
+  warning.textContent = text;
+}
+
+function createDynamicForm(ctx, formData, styleOverrides = {}) {
   if (!formData || !Array.isArray(formData.fields) || formData.fields.length === 0 || !formData.submit_payload) return null;
 
   const container = document.createElement('div');
   container.className = 'chatbot-form-container';
-  applyStyles(container, 'form', 'container', styleOverrides.container);
+  applyStyles(ctx, container, 'form', 'container', styleOverrides.container);
 
   if (formData.title) {
     const title = document.createElement('div');
     title.className = 'chatbot-form-title';
     title.textContent = formData.title;
-    applyStyles(title, 'form', 'title', styleOverrides.title);
+    applyStyles(ctx, title, 'form', 'title', styleOverrides.title);
     container.appendChild(title);
   }
 
   const form = document.createElement('form');
   form.className = 'chatbot-form';
-  applyStyles(form, 'form', 'form', styleOverrides.form);
+  applyStyles(ctx, form, 'form', 'form', styleOverrides.form);
 
   formData.fields.forEach(field => {
     const fieldDiv = document.createElement('div');
     fieldDiv.className = 'chatbot-form-field';
-    applyStyles(fieldDiv, 'form', 'field', styleOverrides.field);
+    applyStyles(ctx, fieldDiv, 'form', 'field', styleOverrides.field);
 
     if (field.label) {
       const label = document.createElement('label');
       label.textContent = field.label;
       label.htmlFor = `chatbot-form-${field.field_name}`;
-      applyStyles(label, 'form', 'label', styleOverrides.label);
+      applyStyles(ctx, label, 'form', 'label', styleOverrides.label);
       fieldDiv.appendChild(label);
     }
 
@@ -572,10 +685,10 @@ function createDynamicForm(formData, sendMessageCallback, styleOverrides = {}) {
       inputElement.required = !!field.required;
     }
 
-    applyStyles(inputElement, 'form', 'input', {
-      backgroundColor: getChatbot().config.style?.messages?.inputBackground,
-      color: getChatbot().config.style?.messages?.inputTextColor,
-      borderColor: getChatbot().config.style?.messages?.inputBorderColor,
+    applyStyles(ctx, inputElement, 'form', 'input', {
+      backgroundColor: ctx.config.style?.messages?.inputBackground,
+      color: ctx.config.style?.messages?.inputTextColor,
+      borderColor: ctx.config.style?.messages?.inputBorderColor,
       ...styleOverrides.input
     });
 
@@ -586,14 +699,16 @@ function createDynamicForm(formData, sendMessageCallback, styleOverrides = {}) {
   const submitButton = document.createElement('button');
   submitButton.type = 'submit';
   submitButton.className = 'chatbot-form-submit-button';
-  submitButton.textContent = formData.submit_button_text || 'Submit';
-  applyStyles(submitButton, 'form', 'submitButton', {
-    backgroundColor: getChatbot().config.style?.messages?.buttonColor,
-    color: getChatbot().config.style?.messages?.buttonTextColor,
+  submitButton.textContent = formData.submit_button_text || ctx.t('renderer.submit');
+  applyStyles(ctx, submitButton, 'form', 'submitButton', {
+    backgroundColor: ctx.config.style?.messages?.buttonColor,
+    color: ctx.config.style?.messages?.buttonTextColor,
     ...styleOverrides.submitButton
   });
   form.appendChild(submitButton);
 
+  // A warned submission is sent when submitted again with the same values
+  let piiConfirmedText = null;
   form.addEventListener('submit', (e) => {
     e.preventDefault();
     const formValues = {};
@@ -602,11 +717,22 @@ function createDynamicForm(formData, sendMessageCallback, styleOverrides = {}) {
       if (input) formValues[field.field_name] = input.value;
     });
 
-    if (sendMessageCallback) {
+    if (ctx.send) {
       const userMessageText = `Submitted form: ${Object.entries(formValues).map(([key, value]) => `${key}: ${value}`).join(', ')}`;
       const submitPayload = `${formData.submit_payload}${JSON.stringify(formValues)}`;
-      sendMessageCallback(userMessageText, submitPayload);
+      // The check covers the payload as well, since it carries the raw values
+      const checkedText = ctx.chatbot?.getPiiText?.(userMessageText, submitPayload);
+      const guard = checkedText && ctx.chatbot.checkPii(checkedText, piiConfirmedText === checkedText, 'form');
+      if (guard && guard.action !== 'allow') {
+        piiConfirmedText = guard.action === 'warn' ? checkedText : null;
+        showFormWarning(form, submitButton, ctx.chatbot.getPiiMessage(guard));
+        return;
+      }
+
+      // Without the widget's check here, sendMessage() runs it
+      ctx.send(userMessageText, submitPayload, { piiConfirmed: Boolean(guard) });
     }
+    form.querySelector('.chatbot-pii-warning')?.remove();
     form.querySelectorAll('input, select, textarea, button').forEach(el => el.disabled = true);
   });
 
@@ -0,0 +1,132 @@
+// src/sanitizer.js
+
+export const DEFAULT_ALLOWED_PROTOCOLS = ['http', 'https', 'mailto', 'tel'];
+
+const SVG_PRESENTATION = ['fill', 'fill-rule', 'clip-rule', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'opacity', 'transform'];
+
+// Allowed tags and the attributes each one may keep
+const ALLOWED_TAGS = {
+  a: ['href', 'target', 'rel'],
+  b: [], strong: [], i: [], em: [], u: [], s: [], del: [], small: [], sub: [], sup: [], mark: [],
+  p: [], br: [], hr: [], span: [], div: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  ul: [], ol: ['start'], li: [],
+  blockquote: [], pre: [], code: [],
+  img: ['src', 'alt', 'width', 'height'],
+  table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan'],
+  svg: ['viewbox', 'xmlns', 'width', 'height', 'preserveaspectratio', ...SVG_PRESENTATION],
+  g: SVG_PRESENTATION,
+  path: ['d', ...SVG_PRESENTATION],
+  circle: ['cx', 'cy', 'r', ...SVG_PRESENTATION],
+  ellipse: ['cx', 'cy', 'rx', 'ry', ...SVG_PRESENTATION],
+  rect: ['x', 'y', 'width', 'height', 'rx', 'ry', ...SVG_PRESENTATION],
+  line: ['x1', 'y1', 'x2', 'y2', ...SVG_PRESENTATION],
+  polyline: ['points', ...SVG_PRESENTATION],
+  polygon: ['points', ...SVG_PRESENTATION],
+};
+
+const GLOBAL_ATTRIBUTES = ['class', 'title', 'dir', 'lang', 'role', 'aria-label', 'aria-hidden'];
+
+// Removed together with their content instead of being unwrapped
+const DROPPED_TAGS = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'textarea', 'select', 'option', 'title', 'head', 'meta', 'link', 'base',
+  'form', 'input', 'button', 'math', 'foreignobject', 'use', 'animate', 'set'
+]);
+
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+/**
+ * Checks a URL against the protocol allowlist. Relative URLs are allowed.
+ * @param {string} url - The URL to check.
+ * @param {string[]} [allowedProtocols] - Allowed schemes without the colon.
+ * @param {boolean} [allowDataImages] - Also allow data:image/* URLs (for img src).
+ * @returns {string|null} The trimmed URL, or null when it is not allowed.
+ */
+export function sanitizeUrl(url, allowedProtocols = DEFAULT_ALLOWED_PROTOCOLS, allowDataImages = false) {
+  if (url === null || url === undefined) return null;
+  const value = String(url).trim();
+
+  // Browsers ignore control characters and whitespace inside the scheme
+  const normalized = value.replace(/[\u0000- \u007F]+/g, '').toLowerCase();
+  const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/);
+  if (!scheme) return value;
+
+  if (allowDataImages && /^data:image\/(png|gif|jpe?g|webp|svg\+xml)[;,]/.test(normalized)) return value;
+  return (allowedProtocols || DEFAULT_ALLOWED_PROTOCOLS).includes(scheme[1]) ? value : null;
+}
+
+function sanitizeAttributes(element, tag, options) {
+  const allowed = ALLOWED_TAGS[tag];
+
+  Array.from(element.attributes).forEach(attr => {
+    const name = attr.name.toLowerCase();
+    const keep = GLOBAL_ATTRIBUTES.includes(name) || allowed.includes(name);
+    if (!keep) {
+      element.removeAttribute(attr.name);
+      return;
+    }
+
+    if (URL_ATTRIBUTES.has(name)) {
+      const safeUrl = sanitizeUrl(attr.value, options.allowedProtocols, tag === 'img');
+      if (safeUrl === null) element.removeAttribute(attr.name);
+    }
+  });
+
+  // Links opening a new window must not get a handle on the widget's page
+  if (tag === 'a' && element.getAttribute('target')) {
+    element.setAttribute('target', '_blank');
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+function sanitizeChildren(parent, options) {
+  Array.from(parent.childNodes).forEach(node => {
+    if (node.nodeType === Node.TEXT_NODE) return;
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      node.remove();
+      return;
+    }
+
+    const tag = node.nodeName.toLowerCase();
+    if (DROPPED_TAGS.has(tag)) {
+      node.remove();
+      return;
+    }
+
+    sanitizeChildren(node, options);
+
+    // Unknown tags are unwrapped so their text survives
+    if (!Object.prototype.hasOwnProperty.call(ALLOWED_TAGS, tag)) {
+      node.replaceWith(...Array.from(node.childNodes));
+      return;
+    }
+
+    sanitizeAttributes(node, tag, options);
+  });
+}
+
+/**
+ * Parses HTML in an inert template and strips everything not on the allowlist.
+ * @param {string} html - Untrusted HTML.
+ * @param {object} [options]
+ * @param {string[]} [options.allowedProtocols] - Allowed link and image protocols.
+ * @returns {DocumentFragment} The sanitized content.
+ */
+export function sanitizeHtml(html, options = {}) {
+  const template = document.createElement('template');
+  template.innerHTML = html === null || html === undefined ? '' : String(html);
+  sanitizeChildren(template.content, options);
+  return template.content;
+}
+
+/**
+ * Replaces an element's content with sanitized HTML. This is the only way
+ * untrusted HTML should reach the DOM.
+ * @param {HTMLElement} element - The element to fill.
+ * @param {string} html - Untrusted HTML.
+ * @param {object} [options] - See sanitizeHtml().
+ */
+export function setSafeHTML(element, html, options = {}) {
+  element.replaceChildren(sanitizeHtml(html, options));
+}
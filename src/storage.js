@@ -0,0 +1,347 @@
+// src/storage.js
+
+/*
+ * Persistent storage for the widget. Backends share one async interface
+ * (get, set, remove, keys) and store JSON-serializable values:
+ *   'local'     - localStorage (default)
+ *   'session'   - sessionStorage, cleared when the tab closes
+ *   'indexeddb' - IndexedDB, for larger transcripts
+ *   'memory'    - nothing survives a reload
+ *
+ * WidgetStorage wraps a backend. Every value is stored in an envelope with its
+ * save time, so data older than the retention period can be purged. With
+ * encryption on, values are encrypted with AES-GCM using a key derived (HKDF)
+ * from a master key and the scope, which is the session ID for session data.
+ */
+
+const ENVELOPE_VERSION = 1;
+const KEY_DB_NAME = 'chatbot-sdk-keys';
+const DAY = 24 * 60 * 60 * 1000;
+// Bytes per String.fromCharCode() call; spreading a large buffer overflows the call stack
+const BASE64_CHUNK = 0x8000;
+
+export class MemoryBackend {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async get(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async set(key, value) {
+    this.items.set(key, value);
+  }
+
+  async remove(key) {
+    this.items.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.items.keys());
+  }
+}
+
+export class WebStorageBackend {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  async get(key) {
+    const item = this.storage.getItem(key);
+    return item ? JSON.parse(item) : null;
+  }
+
+  async set(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.storage.removeItem(key);
+  }
+
+  async keys() {
+    return Array.from({ length: this.storage.length }, (_, i) => this.storage.key(i));
+  }
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase(name, storeName) {
+  const request = indexedDB.open(name, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(storeName);
+  return requestToPromise(request);
+}
+
+export class IndexedDbBackend {
+  constructor(dbName = 'chatbot-sdk', storeName = 'items') {
+    this.storeName = storeName;
+    this.db = openDatabase(dbName, storeName);
+  }
+
+  async run(mode, operation) {
+    const db = await this.db;
+    const store = db.transaction(this.storeName, mode).objectStore(this.storeName);
+    return requestToPromise(operation(store));
+  }
+
+  async get(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  async remove(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  async keys() {
+    return this.run('readonly', store => store.getAllKeys());
+  }
+}
+
+/**
+ * Creates the backend for a storage type, falling back to memory when the
+ * browser blocks it (e.g. storage disabled or private mode).
+ * @param {string} [type] - 'local', 'session', 'indexeddb' or 'memory'.
+ * @returns {object} The backend.
+ */
+export function createStorageBackend(type = 'local') {
+  try {
+    switch (type) {
+      case 'memory':
+        return new MemoryBackend();
+      case 'session':
+        window.sessionStorage.getItem('');
+        return new WebStorageBackend(window.sessionStorage);
+      case 'indexeddb':
+        if (!window.indexedDB) throw new Error('IndexedDB is not available');
+        return new IndexedDbBackend();
+      case 'local':
+        window.localStorage.getItem('');
+        return new WebStorageBackend(window.localStorage);
+      default:
+        console.warn(`Chatbot SDK: unknown storage type "${type}", using local`);
+        return createStorageBackend('local');
+    }
+  } catch (e) {
+    console.warn(`Chatbot SDK: ${type} storage is not available, keeping data in memory`);
+    return new MemoryBackend();
+  }
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += BASE64_CHUNK) {
+    const end = Math.min(i + BASE64_CHUNK, binary.length);
+    for (let j = i; j < end; j++) bytes[j] = binary.charCodeAt(j);
+  }
+  return bytes;
+}
+
+// A non-extractable master key kept in IndexedDB, so scripts can use it but never read it
+async function loadDeviceMasterKey(name) {
+  const generate = () => crypto.subtle.importKey('raw', crypto.getRandomValues(new Uint8Array(32)), 'HKDF', false, ['deriveKey']);
+  if (!window.indexedDB) return generate();
+
+  const keyStore = new IndexedDbBackend(KEY_DB_NAME, 'keys');
+  const existing = await keyStore.get(name);
+  if (existing) return existing;
+
+  const key = await generate();
+  await keyStore.set(name, key);
+  return key;
+}
+
+/**
+ * Storage used by a widget instance. All methods are async; writes are applied
+ * in the order they were made.
+ */
+export class WidgetStorage {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.type] - The backend type, see createStorageBackend().
+   * @param {object} [options.backend] - A custom backend instead of type.
+   * @param {boolean} [options.encrypt] - Encrypt values with AES-GCM.
+   * @param {string} [options.encryptionSecret] - Secret for the master key; by default a
+   *   random device key is kept in IndexedDB.
+   * @param {number} [options.retentionDays] - Purge data saved longer ago than this.
+   * @param {string} [options.keyName] - Names the device key, one per widget instance.
+   * @param {Function} [options.onError] - Called with (error, key) when a write or removal fails.
+   */
+  constructor({ type = 'local', backend, encrypt = false, encryptionSecret, retentionDays, keyName = 'default', onError } = {}) {
+    this.backend = backend || createStorageBackend(type);
+    this.encrypt = Boolean(encrypt) && Boolean(window.crypto?.subtle);
+    this.encryptionSecret = encryptionSecret;
+    this.retentionDays = retentionDays;
+    this.keyName = keyName;
+    this.masterKey = null;
+    this.scopeKeys = new Map();
+    this.writes = Promise.resolve();
+    this.onError = onError || ((error, key) => console.warn(`Chatbot SDK: could not write "${key}" to storage`, error));
+
+    if (encrypt && !this.encrypt) {
+      console.warn('Chatbot SDK: WebCrypto is not available, storing data unencrypted');
+    }
+  }
+
+  getMasterKey() {
+    if (!this.masterKey) {
+      this.masterKey = this.encryptionSecret
+        ? crypto.subtle.importKey('raw', new TextEncoder().encode(this.encryptionSecret), 'HKDF', false, ['deriveKey'])
+        : loadDeviceMasterKey(this.keyName);
+    }
+    return this.masterKey;
+  }
+
+  getScopeKey(scope) {
+    if (!this.scopeKeys.has(scope)) {
+      this.scopeKeys.set(scope, this.getMasterKey().then(masterKey => crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: new TextEncoder().encode(scope), info: new TextEncoder().encode('chatbot-sdk-storage') },
+        masterKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      )));
+    }
+    return this.scopeKeys.get(scope);
+  }
+
+  async seal(value, scope) {
+    const envelope = { v: ENVELOPE_VERSION, savedAt: Date.now() };
+    if (!this.encrypt) return { ...envelope, data: value };
+
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await this.getScopeKey(scope), plaintext);
+    return { ...envelope, scope, iv: toBase64(iv), ct: toBase64(ciphertext) };
+  }
+
+  async open(envelope) {
+    // Values written before envelopes existed are returned as they are
+    if (!envelope || envelope.v !== ENVELOPE_VERSION) return envelope;
+    if (!envelope.ct) return envelope.data ?? null;
+    if (!window.crypto?.subtle) return null;
+
+    const key = await this.getScopeKey(envelope.scope);
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.ct));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * @param {string} key - The storage key.
+   * @returns {Promise<*>} The value, or null when missing, expired or unreadable.
+   */
+  async get(key) {
+    await this.writes;
+    try {
+      const envelope = await this.backend.get(key);
+      if (this.isExpired(envelope)) {
+        await this.backend.remove(key);
+        return null;
+      }
+      return await this.open(envelope);
+    } catch (e) {
+      // A value encrypted with a lost or different key cannot be read
+      console.warn(`Chatbot SDK: could not read "${key}" from storage`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key - The storage key.
+   * @param {*} value - A JSON-serializable value.
+   * @param {string} [scope] - Key derivation scope; session data passes its session ID.
+   * @returns {Promise<boolean>} Whether the value was saved; failures go to onError.
+   */
+  set(key, value, scope = 'widget') {
+    return this.queueWrite(key, async () => this.backend.set(key, await this.seal(value, scope)));
+  }
+
+  /**
+   * @param {string} key - The storage key.
+   * @returns {Promise<boolean>} Whether the value was removed; failures go to onError.
+   */
+  remove(key) {
+    return this.queueWrite(key, () => this.backend.remove(key));
+  }
+
+  // A failed write is reported and does not stop the ones queued after it
+  queueWrite(key, operation) {
+    this.writes = this.writes.then(operation).then(
+      () => true,
+      (error) => {
+        try {
+          this.onError(error, key);
+        } catch (e) {
+          console.error('Chatbot SDK: storage onError handler failed', e);
+        }
+        return false;
+      }
+    );
+    return this.writes;
+  }
+
+  isExpired(envelope) {
+    if (!(this.retentionDays > 0) || !envelope || envelope.v !== ENVELOPE_VERSION) return false;
+    return Date.now() - envelope.savedAt > this.retentionDays * DAY;
+  }
+
+  /**
+   * Removes every value under the prefix that is older than the retention period.
+   * @param {string} prefix - Only keys starting with it are checked.
+   * @returns {Promise<string[]>} The removed keys.
+   */
+  async purgeExpired(prefix) {
+    if (!(this.retentionDays > 0)) return [];
+    await this.writes;
+
+    let keys;
+    try {
+      keys = await this.backend.keys();
+    } catch (e) {
+      console.warn('Chatbot SDK: storage purge error:', e);
+      return [];
+    }
+
+    const removed = [];
+    for (const key of keys) {
+      if (typeof key !== 'string' || !key.startsWith(prefix)) continue;
+      try {
+        let expired;
+        try {
+          expired = this.isExpired(await this.backend.get(key));
+        } catch (e) {
+          // A value that cannot be parsed could never be read back either
+          expired = true;
+        }
+        if (expired) {
+          await this.backend.remove(key);
+          removed.push(key);
+        }
+      } catch (e) {
+        // One key failing does not stop the purge of the others
+        console.warn(`Chatbot SDK: could not purge "${key}" from storage`, e);
+      }
+    }
+    return removed;
+  }
+}
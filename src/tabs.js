@@ -0,0 +1,84 @@
+// src/tabs.js
+import { isVisible } from './homeActions';
+
+/*
+ * Tabs are plain objects:
+ *   id           - unique name; config entries with a built-in id change that tab
+ *   label        - a string or a map of locale -> string (or labelKey: a catalog key)
+ *   icon         - optional emoji/text shown before the label
+ *   order        - tabs are sorted by it, ascending
+ *   enabled, visibility, visible - same rules as home actions
+ *   render       - custom tabs: (container, widget) => Node | string | void, called on first activation
+ *   content      - custom tabs: { type: 'iframe', src, title } instead of render; src must be on an
+ *                  origin listed in config.allowedFrameOrigins
+ *   onActivate   - (container, widget) => void, called every time the tab is shown
+ *   onDeactivate - (container, widget) => void, called when another tab is shown
+ */
+
+export const DEFAULT_TABS = [
+  { id: 'home', labelKey: 'tabs.home', order: 10 },
+  { id: 'chat', labelKey: 'tabs.chat', order: 20 },
+  { id: 'announcements', labelKey: 'tabs.announcements', order: 30 }
+];
+
+export const BUILT_IN_TAB_IDS = DEFAULT_TABS.map(tab => tab.id);
+
+// Framed pages may run scripts and forms but cannot navigate the host page. A page
+// from the host's own origin does not get allow-same-origin: with allow-scripts it
+// could remove its own sandbox.
+const FRAME_SANDBOX = 'allow-scripts allow-forms allow-popups';
+
+/**
+ * Creates the sandboxed iframe of a { type: 'iframe', src, title } tab.
+ * @param {object} content - The tab's content.
+ * @param {string[]} [allowedOrigins] - config.allowedFrameOrigins, e.g. ['https://help.example.com'].
+ * @returns {HTMLIFrameElement|null} The iframe, or null when src is not on an allowed origin.
+ */
+export function createTabFrame(content, allowedOrigins = []) {
+  const toOrigin = (value) => {
+    try {
+      const url = new URL(value, window.location.href);
+      return ['http:', 'https:'].includes(url.protocol) ? url.origin : null;
+    } catch (e) {
+      return null;
+    }
+  };
+  const origin = toOrigin(content.src);
+  const allowed = (Array.isArray(allowedOrigins) ? allowedOrigins : []).map(toOrigin);
+  if (!origin || !allowed.includes(origin)) {
+    console.warn(`Chatbot SDK: iframe tab source "${content.src}" is not on an allowed origin`);
+    return null;
+  }
+
+  const frame = document.createElement('iframe');
+  frame.className = 'chatbot-tab-frame';
+  frame.setAttribute('sandbox', origin === window.location.origin
+    ? FRAME_SANDBOX
+    : `${FRAME_SANDBOX} allow-same-origin`);
+  frame.setAttribute('referrerpolicy', 'strict-origin-when-cross-origin');
+  frame.setAttribute('loading', 'lazy');
+  frame.title = content.title || '';
+  frame.src = new URL(content.src, window.location.href).href;
+  return frame;
+}
+
+/**
+ * Merges configured and registered tabs over the defaults (by id), drops hidden ones and sorts by order.
+ * @param {object[]} [configured] - config.tabs.
+ * @param {Map<string, object>} [registered] - Tabs added with registerTab().
+ * @param {object} [context] - See isVisible().
+ * @returns {object[]} The tabs to show.
+ */
+export function resolveTabs(configured, registered, context = {}) {
+  const tabs = new Map(DEFAULT_TABS.map(tab => [tab.id, tab]));
+  const extra = [...(Array.isArray(configured) ? configured : []), ...(registered ? registered.values() : [])];
+
+  extra.forEach((tab, index) => {
+    if (!tab || !tab.id) return;
+    tabs.set(tab.id, { order: 1000 + index, ...tabs.get(tab.id), ...tab });
+  });
+
+  return Array.from(tabs.values())
+    .filter(tab => isVisible(tab, context))
+    .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+}
@@ -0,0 +1,94 @@
+// src/themes.js
+
+/*
+ * Themes set the CSS variables declared in chatbot.css. config.theme is either
+ * a string (a mode or a preset name) or an object:
+ *   mode    - 'light' (default) | 'dark' | 'auto', which follows prefers-color-scheme
+ *   preset  - a registered preset name
+ *   tokens  - variables for both schemes
+ *   dark    - variables for the dark scheme only
+ * Token names are the variable names in camelCase without the prefix:
+ * surface -> --chatbot-surface, themeColorHover -> --chatbot-theme-color-hover.
+ * A preset has light and dark token sets; the base palettes live in the CSS.
+ */
+
+export const THEME_MODES = ['light', 'dark', 'auto'];
+
+const presets = {
+  default: { light: {}, dark: {} },
+  ocean: {
+    light: { themeColor: '#0077b6', surfaceAlt: '#f1f8fc', botBubble: '#e3f2fb' },
+    dark: { themeColor: '#48b5e8', surface: '#0f1c26', surfaceAlt: '#0b151d', surfaceMuted: '#17293a', botBubble: '#17293a', inputBg: '#132331', border: '#1f3547', footerBg: '#0b151d', teaserBg: '#17293a' }
+  },
+  forest: {
+    light: { themeColor: '#2e7d32', surfaceAlt: '#f3f8f3', botBubble: '#e6f2e6' },
+    dark: { themeColor: '#66bb6a', surface: '#141d15', surfaceAlt: '#0f1610', surfaceMuted: '#1f2c20', botBubble: '#1f2c20', inputBg: '#182319', border: '#2a3a2b', footerBg: '#0f1610', teaserBg: '#1f2c20' }
+  },
+  sunset: {
+    light: { themeColor: '#e4572e', surfaceAlt: '#fdf5f2', botBubble: '#fbe9e3' },
+    dark: { themeColor: '#ff8a65', surface: '#211714', surfaceAlt: '#1a1210', surfaceMuted: '#30211c', botBubble: '#30211c', inputBg: '#281c18', border: '#402c25', footerBg: '#1a1210', teaserBg: '#30211c' }
+  },
+  'high-contrast': {
+    light: { themeColor: '#000000', themeColorHover: '#333333', text: '#000000', textMuted: '#1a1a1a', textSubtle: '#333333', border: '#000000', inputBorder: '#000000', botText: '#000000', botBubble: '#ffffff' },
+    dark: { themeColor: '#ffff00', themeColorHover: '#ffff66', onTheme: '#000000', surface: '#000000', surfaceAlt: '#000000', surfaceMuted: '#1a1a1a', text: '#ffffff', textMuted: '#f0f0f0', textSubtle: '#cccccc', border: '#ffffff', inputBg: '#000000', inputBorder: '#ffffff', botBubble: '#000000', botText: '#ffffff', teaserBg: '#000000', footerBg: '#000000' }
+  }
+};
+
+/**
+ * Adds a named preset for every widget on the page.
+ * @param {string} name - The preset name, used as theme.preset.
+ * @param {object} preset - { light: tokens, dark: tokens }.
+ */
+export function registerThemePreset(name, preset) {
+  presets[name] = { light: { ...(preset?.light || {}) }, dark: { ...(preset?.dark || {}) } };
+}
+
+/**
+ * @returns {string[]} The names of the registered presets.
+ */
+export function getThemePresets() {
+  return Object.keys(presets);
+}
+
+/**
+ * @param {string} token - A token name such as 'surfaceAlt'.
+ * @returns {string} The CSS variable, e.g. '--chatbot-surface-alt'.
+ */
+export function tokenToVariable(token) {
+  return `--chatbot-${token.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`;
+}
+
+/**
+ * Turns config.theme into the object form.
+ * @param {string|object} [theme] - A mode, a preset name or a theme object.
+ * @returns {object} { mode, preset, tokens, dark }.
+ */
+export function normalizeTheme(theme) {
+  if (typeof theme === 'string') {
+    theme = THEME_MODES.includes(theme) ? { mode: theme } : { preset: theme };
+  }
+  const { mode = 'light', preset = 'default', tokens = {}, dark = {} } = theme || {};
+
+  if (!THEME_MODES.includes(mode)) {
+    console.warn(`Chatbot SDK: unknown theme mode "${mode}", using light`);
+  }
+  if (!presets[preset]) {
+    console.warn(`Chatbot SDK: unknown theme preset "${preset}"`);
+  }
+  return { mode: THEME_MODES.includes(mode) ? mode : 'light', preset, tokens, dark };
+}
+
+/**
+ * Collects the tokens of a theme for one color scheme.
+ * @param {object} theme - The result of normalizeTheme().
+ * @param {string} scheme - 'light' or 'dark'.
+ * @returns {object} Token values keyed by token name.
+ */
+export function resolveThemeTokens(theme, scheme) {
+  const preset = presets[theme.preset] || presets.default;
+  return {
+    ...preset[scheme],
+    ...theme.tokens,
+    ...(scheme === 'dark' ? theme.dark : {})
+  };
+}
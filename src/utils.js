@@ -41,30 +41,36 @@ export function getLocalStorageItem(key) {
 }
 
 /**
- * Basic Markdown parsing for bold, italics, links.
- * This is a simplified parser. For full markdown, consider a tiny library if allowed.
- * @param {string} text - The text to parse.
- * @returns {string} HTML string with basic markdown applied.
+ * Escapes text for use in HTML content and attribute values.
+ * @param {*} value - The value to escape.
+ * @returns {string} The escaped text.
  */
-export function parseMarkdown(text) {
-    if (!text) return '';
-    let html = text;
-
-    // Bold: **text** or __text__
-    html = html.replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
-    html = html.replace(/__(.*?)__/g, '<strong>$1</strong>');
-
-    // Italics: *text* or _text_
-    html = html.replace(/\*(.*?)\*/g, '<em>$1</em>');
-    html = html.replace(/_(.*?)_/g, '<em>$1</em>');
-
-    // Links: [text](url)
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+export function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
 
-    // Line breaks
-    html = html.replace(/\n/g, '<br/>');
+/**
+ * Injects a stylesheet into a document head or shadow root once.
+ * @param {string} css - The stylesheet text.
+ * @param {Node} parent - The node to append the style tag to.
+ * @param {string} id - A unique ID for the style tag.
+ * @returns {HTMLStyleElement} The existing or newly created style tag.
+ */
+export function injectStyleSheet(css, parent, id) {
+    const existing = parent.querySelector(`#${id}`);
+    if (existing) return existing;
 
-    return html;
+    const style = document.createElement('style');
+    style.id = id;
+    style.textContent = css;
+    parent.appendChild(style);
+    return style;
 }
 
 /**
@@ -86,4 +92,55 @@ export function loadScript(url, id) {
         script.onerror = () => reject(new Error(`Failed to load script: ${url}`));
         document.head.appendChild(script);
     });
-}
\ No newline at end of file
+}
+/**
+ * Makes a non-button element behave like a button: focusable, announced as a
+ * button and activated with Enter or Space.
+ * @param {HTMLElement} element - The element, e.g. a card or a div.
+ * @param {Function} onActivate - Called on click, Enter and Space.
+ * @param {string} [label] - An accessible name, when the text content is not enough.
+ */
+export function makeActivatable(element, onActivate, label) {
+    element.setAttribute('role', 'button');
+    element.tabIndex = 0;
+    if (label) element.setAttribute('aria-label', label);
+
+    element.addEventListener('click', onActivate);
+    element.addEventListener('keydown', (e) => {
+        // Keys pressed on nested controls (e.g. buttons inside a card) are theirs
+        if (e.target !== element || (e.key !== 'Enter' && e.key !== ' ')) return;
+        e.preventDefault();
+        onActivate(e);
+    });
+}
+
+/**
+ * Lists the elements inside a container that can receive keyboard focus.
+ * @param {HTMLElement} container - The element to search.
+ * @returns {HTMLElement[]} The visible focusable elements, in DOM order.
+ */
+export function getFocusableElements(container) {
+    const selector = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), iframe, [tabindex]:not([tabindex="-1"])';
+    return Array.from(container.querySelectorAll(selector))
+        .filter(element => !element.closest('[hidden], [aria-hidden="true"]') && element.getClientRects().length > 0);
+}
+
+/**
+ * @returns {boolean} Whether the user asked the system to minimize animations.
+ */
+export function prefersReducedMotion() {
+    return Boolean(window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+}
+
+/**
+ * Formats a duration as a clock, e.g. 65000 -> "01:05" and 3725000 -> "1:02:05".
+ * @param {number} ms - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const pad = (value) => String(value).padStart(2, '0');
+    const clock = `${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
+}
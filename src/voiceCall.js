@@ -0,0 +1,434 @@
+// src/voiceCall.js
+import { createAudioAnalyser, Room, RoomEvent, Track } from 'livekit-client';
+import { EventEmitter } from './events';
+import { classifyCallError, getAudioConstraints } from './callDiagnostics';
+
+/*
+ * A voice call with the agent over LiveKit. The controller owns the room, the
+ * microphone track, the attached audio elements and the ringing tone; the
+ * widget only binds its UI to the events:
+ *   'state'     - { state, previousState }, on every transition
+ *   'connected' - { room, language }, when the agent's audio arrives
+ *   'ended'     - { reason }: 'hangup' | 'disconnected' | 'destroyed'
+ *   'failed'    - { error, stage, step, code }: stage is the state the call failed in,
+ *                 step the setup step and code an error code from callDiagnostics.js
+ *   'mute'      - { muted }, when the microphone is muted or unmuted
+ *   'hold'      - { onHold }, when the call is put on hold or resumed
+ *   'speakers'  - { agent, user }, whether each side is speaking
+ *   'transcript' - { id, speaker, text, final, language }, speaker being 'user' or 'agent';
+ *                  interim updates of a segment share its id until the final one
+ *
+ * idle -> requesting-mic -> connecting -> ringing -> connected -> ended
+ * connected <-> reconnecting; any pending state -> failed.
+ */
+
+export const CALL_STATES = ['idle', 'requesting-mic', 'connecting', 'ringing', 'connected', 'reconnecting', 'ended', 'failed'];
+
+// States in which a call is on its way but not yet talking
+export const PENDING_CALL_STATES = ['requesting-mic', 'connecting', 'ringing', 'reconnecting'];
+
+const INACTIVE_STATES = ['idle', 'ended', 'failed'];
+
+// Data channel topics on which agents may send transcripts as JSON
+const TRANSCRIPT_TOPICS = ['transcription', 'lk.transcription'];
+
+export class VoiceCallController extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Function} options.getUrl - Returns the LiveKit server URL.
+   * @param {Function} options.getToken - async ({ identity, name }) => { room, token }.
+   * @param {Function} options.getIdentity - Returns { identity, name } of the caller.
+   * @param {Function} [options.startAgent] - async ({ room, language }) => void, asks the agent to join.
+   * @param {Function} [options.getAudioContainer] - Returns the element remote audio is attached to.
+   * @param {boolean} [options.ringtone] - false to skip the ringing tone.
+   */
+  constructor({ getUrl, getToken, getIdentity, startAgent, getAudioContainer, ringtone = true }) {
+    super();
+    this.getUrl = getUrl;
+    this.getToken = getToken;
+    this.getIdentity = getIdentity;
+    this.startAgent = startAgent;
+    this.getAudioContainer = getAudioContainer || (() => document.body);
+    this.ringtone = ringtone;
+
+    this.state = 'idle';
+    this.room = null;
+    this.roomName = null;
+    this.language = null;
+    this.outputDeviceId = null;
+    this.microphoneTrack = null;
+    this.attachedElements = new Set();
+    this.tone = null;
+    this.agentJoined = false;
+    this.connectedAt = null;
+    this.muted = false;
+    this.onHold = false;
+    this.analysers = { user: null, agent: null };
+    this.attempt = 0;
+  }
+
+  isActive() {
+    return !INACTIVE_STATES.includes(this.state);
+  }
+
+  isPending() {
+    return PENDING_CALL_STATES.includes(this.state);
+  }
+
+  setState(state) {
+    if (state === this.state) return;
+    const previousState = this.state;
+    this.state = state;
+    this.emit('state', { state, previousState });
+  }
+
+  /**
+   * Starts a call. Does nothing while another call is active.
+   * @param {object} [options]
+   * @param {string} [options.language] - The language the agent should speak.
+   * @param {string} [options.inputDeviceId] - The microphone, default when omitted.
+   * @param {string} [options.outputDeviceId] - The speaker, default when omitted.
+   * @returns {Promise<boolean>} Whether the call was set up.
+   */
+  async start({ language, inputDeviceId, outputDeviceId } = {}) {
+    if (this.isActive()) return false;
+
+    // A newer start() or an end() makes an older attempt stop where it is
+    const attempt = ++this.attempt;
+    const isCurrent = () => attempt === this.attempt;
+    this.language = language || null;
+    this.outputDeviceId = outputDeviceId || null;
+
+    // The agent is only started once the microphone, the token and the room are ready
+    let step = 'microphone';
+    try {
+      this.setState('requesting-mic');
+      const stream = await navigator.mediaDevices.getUserMedia({ audio: getAudioConstraints(inputDeviceId) });
+      if (!isCurrent()) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+      }
+      this.microphoneTrack = stream.getAudioTracks()[0];
+
+      this.setState('connecting');
+      this.startRingtone();
+      step = 'token';
+      const { identity, name } = this.getIdentity();
+      const credentials = await this.getToken({ identity, name });
+      if (!credentials?.token) throw new Error('Could not get a voice token');
+      if (!isCurrent()) return false;
+
+      this.roomName = credentials.room;
+      step = 'connect';
+      this.room = this.createRoom();
+      await this.room.connect(this.getUrl(), credentials.token);
+      if (!isCurrent()) return false;
+
+      step = 'agent';
+      await this.startAgent?.({ room: this.roomName, language: this.language });
+      step = 'connect';
+      const publication = await this.room.localParticipant.publishTrack(this.microphoneTrack, {
+        name: 'microphone',
+        source: Track.Source.Microphone,
+      });
+      if (!isCurrent()) return false;
+      this.analysers.user = this.createAnalyser(publication.track);
+
+      // The agent may already have joined while the microphone was published
+      if (this.state === 'connecting') this.setState('ringing');
+      return true;
+    } catch (error) {
+      if (!isCurrent()) return false;
+      const stage = this.state;
+      await this.cleanup();
+      this.setState('failed');
+      this.emit('failed', { error, stage, step, code: classifyCallError(error, step) });
+      return false;
+    }
+  }
+
+  /**
+   * Hangs up, or cancels a call that is still connecting.
+   * @param {string} [reason] - Passed to the 'ended' event.
+   */
+  async end(reason = 'hangup') {
+    if (!this.isActive()) return;
+    this.attempt++;
+    await this.cleanup();
+    this.setState('ended');
+    this.emit('ended', { reason });
+  }
+
+  // Ends an active call and drops all listeners
+  async destroy() {
+    await this.end('destroyed');
+    this.removeAll();
+  }
+
+  // --- In-call controls ---
+  getMicrophonePublication() {
+    return this.room?.localParticipant.getTrackPublication(Track.Source.Microphone) || null;
+  }
+
+  // The published track stays muted while the user muted it or the call is on hold
+  async applyMicrophoneMute() {
+    const publication = this.getMicrophonePublication();
+    if (!publication) return;
+    if (this.muted || this.onHold) {
+      await publication.mute();
+    } else {
+      await publication.unmute();
+    }
+  }
+
+  /**
+   * Mutes or unmutes the microphone. Only has an effect during a call.
+   * @param {boolean} muted
+   */
+  async setMuted(muted) {
+    if (!this.isActive() || this.muted === Boolean(muted)) return;
+    this.muted = Boolean(muted);
+    await this.applyMicrophoneMute();
+    this.emit('mute', { muted: this.muted });
+  }
+
+  toggleMute() {
+    return this.setMuted(!this.muted);
+  }
+
+  /**
+   * Puts the call on hold: the microphone is muted and the agent is not played.
+   * @param {boolean} onHold
+   */
+  async setOnHold(onHold) {
+    if (!this.isActive() || this.onHold === Boolean(onHold)) return;
+    this.onHold = Boolean(onHold);
+    this.attachedElements.forEach(element => { element.muted = this.onHold; });
+    await this.applyMicrophoneMute();
+    this.emit('hold', { onHold: this.onHold });
+  }
+
+  toggleHold() {
+    return this.setOnHold(!this.onHold);
+  }
+
+  /**
+   * @returns {number} Milliseconds since the agent answered, 0 before that.
+   */
+  getDuration() {
+    return this.connectedAt ? Date.now() - this.connectedAt : 0;
+  }
+
+  /**
+   * Current volume of each side, for level meters.
+   * @returns {{ user: number, agent: number }} Values between 0 and 1.
+   */
+  getAudioLevels() {
+    const level = (analyser) => (analyser ? analyser.calculateVolume() : 0);
+    return {
+      user: this.muted || this.onHold ? 0 : level(this.analysers.user),
+      agent: this.onHold ? 0 : level(this.analysers.agent)
+    };
+  }
+
+  createAnalyser(track) {
+    if (!track) return null;
+    try {
+      return createAudioAnalyser(track, { cloneTrack: true });
+    } catch (error) {
+      // Level meters are optional; browsers without Web Audio simply show none
+      return null;
+    }
+  }
+
+  handleActiveSpeakersChanged(speakers) {
+    const local = this.room?.localParticipant;
+    this.emit('speakers', {
+      user: speakers.some(participant => participant === local),
+      agent: speakers.some(participant => participant !== local)
+    });
+  }
+
+  // --- Transcription ---
+  isLocalParticipant(participant) {
+    const local = this.room?.localParticipant;
+    return Boolean(local && participant && participant.identity === local.identity);
+  }
+
+  // LiveKit transcription segments, published by the agent for both sides
+  handleTranscription(segments, participant) {
+    const speaker = this.isLocalParticipant(participant) ? 'user' : 'agent';
+    segments.forEach(segment => {
+      if (!segment.text?.trim()) return;
+      this.emit('transcript', {
+        id: segment.id,
+        speaker,
+        text: segment.text,
+        final: Boolean(segment.final),
+        language: segment.language || this.language
+      });
+    });
+  }
+
+  // Agents without the transcription API send { type: 'transcript', id, text, final, speaker }
+  // as JSON, either on a transcript topic or with that type
+  handleData(payload, participant, kind, topic) {
+    let data;
+    try {
+      data = JSON.parse(new TextDecoder().decode(payload));
+    } catch (e) {
+      return;
+    }
+    if (!data || typeof data.text !== 'string' || !data.text.trim()) return;
+    if (!TRANSCRIPT_TOPICS.includes(topic) && !['transcript', 'transcription'].includes(data.type)) return;
+
+    const role = data.speaker || data.role;
+    const speaker = role ? (role === 'user' ? 'user' : 'agent') : (this.isLocalParticipant(participant) ? 'user' : 'agent');
+    this.emit('transcript', {
+      id: String(data.id || data.segment_id || `${speaker}-${Date.now()}`),
+      speaker,
+      text: data.text,
+      final: data.final !== false && data.is_final !== false,
+      language: data.language || this.language
+    });
+  }
+
+  createRoom() {
+    const room = new Room({
+      adaptiveStream: true,
+      dynacast: true,
+    });
+
+    room
+      .on(RoomEvent.TrackSubscribed, (track, publication, participant) => this.handleTrackSubscribed(track, participant))
+      .on(RoomEvent.TrackUnsubscribed, (track) => this.detachTrack(track))
+      .on(RoomEvent.ActiveSpeakersChanged, (speakers) => this.handleActiveSpeakersChanged(speakers))
+      .on(RoomEvent.TranscriptionReceived, (segments, participant) => this.handleTranscription(segments, participant))
+      .on(RoomEvent.DataReceived, (payload, participant, kind, topic) => this.handleData(payload, participant, kind, topic))
+      .on(RoomEvent.Reconnecting, () => this.setState('reconnecting'))
+      .on(RoomEvent.Reconnected, () => this.setState(this.agentJoined ? 'connected' : 'ringing'))
+      .on(RoomEvent.Disconnected, () => this.handleDisconnected());
+    return room;
+  }
+
+  handleTrackSubscribed(track, participant) {
+    if (track.kind !== Track.Kind.Audio && track.kind !== Track.Kind.Video) return;
+
+    const element = track.attach();
+    element.autoplay = true;
+    element.muted = this.onHold;
+    if (this.outputDeviceId && element.setSinkId) {
+      element.setSinkId(this.outputDeviceId).catch(error => console.warn('Chatbot SDK: could not use the selected speaker', error));
+    }
+    this.getAudioContainer().appendChild(element);
+    this.attachedElements.add(element);
+
+    // The first remote audio is the agent answering
+    if (track.kind === Track.Kind.Audio && !this.agentJoined) {
+      this.agentJoined = true;
+      this.connectedAt = Date.now();
+      this.analysers.agent = this.createAnalyser(track);
+      this.stopRingtone();
+      this.setState('connected');
+      this.emit('connected', { room: this.roomName, language: this.language, identity: participant?.identity });
+    }
+  }
+
+  detachTrack(track) {
+    track.detach().forEach(element => {
+      element.remove();
+      this.attachedElements.delete(element);
+    });
+  }
+
+  // The server or the network ended the call
+  async handleDisconnected() {
+    if (!this.isActive() || !this.room) return;
+    this.attempt++;
+    await this.cleanup();
+    this.setState('ended');
+    this.emit('ended', { reason: 'disconnected' });
+  }
+
+  // Releases the microphone, the room and every attached element
+  async cleanup() {
+    this.stopRingtone();
+
+    const room = this.room;
+    this.room = null;
+    this.agentJoined = false;
+    this.connectedAt = null;
+    this.muted = false;
+    this.onHold = false;
+    Object.keys(this.analysers).forEach(side => {
+      this.analysers[side]?.cleanup();
+      this.analysers[side] = null;
+    });
+    if (room) {
+      room.removeAllListeners();
+      room.remoteParticipants?.forEach(participant => {
+        participant.trackPublications?.forEach(publication => publication.track?.detach());
+      });
+      try {
+        await room.disconnect();
+      } catch (error) {
+        console.error('Error ending voice call:', error);
+      }
+    }
+
+    this.microphoneTrack?.stop();
+    this.microphoneTrack = null;
+    this.attachedElements.forEach(element => element.remove());
+    this.attachedElements.clear();
+  }
+
+  // --- Ringing tone ---
+  // A soft 440 Hz ring while waiting for the agent: 1.2s on, 2s off
+  startRingtone() {
+    if (!this.ringtone || this.tone) return;
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    // The tone is only a courtesy; a call never fails because it cannot play
+    let audioContext, oscillator, gainNode;
+    try {
+      audioContext = new AudioContext();
+      oscillator = audioContext.createOscillator();
+      gainNode = audioContext.createGain();
+      oscillator.connect(gainNode);
+      gainNode.connect(audioContext.destination);
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(440, audioContext.currentTime);
+      gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+    } catch (error) {
+      console.warn('Chatbot SDK: could not play the ringing tone', error);
+      audioContext?.close();
+      return;
+    }
+
+    const ringDuration = 1.2;
+    const silenceDuration = 2.0;
+    const tone = { audioContext, oscillator, timer: null };
+    const ring = () => {
+      const now = audioContext.currentTime;
+      gainNode.gain.cancelScheduledValues(now);
+      gainNode.gain.setValueAtTime(0, now);
+      gainNode.gain.linearRampToValueAtTime(0.4, now + 0.1);
+      gainNode.gain.linearRampToValueAtTime(0.4, now + ringDuration - 0.2);
+      gainNode.gain.linearRampToValueAtTime(0, now + ringDuration);
+      tone.timer = setTimeout(ring, (ringDuration + silenceDuration) * 1000);
+    };
+
+    oscillator.start();
+    ring();
+    this.tone = tone;
+  }
+
+  stopRingtone() {
+    if (!this.tone) return;
+    clearTimeout(this.tone.timer);
+    this.tone.oscillator.stop();
+    this.tone.audioContext.close();
+    this.tone = null;
+  }
+}
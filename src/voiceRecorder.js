@@ -0,0 +1,105 @@
+// src/voiceRecorder.js
+
+/*
+ * Records one voice message with MediaRecorder. start() asks for the
+ * microphone and stop() resolves with the recording. The microphone is
+ * released as soon as recording ends, however it ends.
+ */
+
+// Preferred containers, the first one the browser can record is used
+const MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+/**
+ * @returns {boolean} Whether this browser can record voice messages.
+ */
+export function isRecordingSupported() {
+  return typeof window.MediaRecorder === 'function' && Boolean(navigator.mediaDevices?.getUserMedia);
+}
+
+export class VoiceRecorder {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxDuration] - The longest recording, in ms.
+   * @param {Function} [options.onMaxDuration] - Called when maxDuration is reached; the owner
+   *   stops the recording then.
+   */
+  constructor({ maxDuration = 60000, onMaxDuration } = {}) {
+    this.maxDuration = maxDuration;
+    this.onMaxDuration = onMaxDuration;
+    this.recorder = null;
+    this.stream = null;
+    this.chunks = [];
+    this.startedAt = 0;
+    this.timer = null;
+  }
+
+  isRecording() {
+    return Boolean(this.recorder);
+  }
+
+  /**
+   * Starts recording. Rejects when the microphone cannot be used.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    if (this.recorder) return;
+
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    this.stream = stream;
+    try {
+      const mimeType = MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported?.(type));
+      const recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      this.recorder = recorder;
+      this.chunks = [];
+      recorder.addEventListener('dataavailable', (e) => {
+        if (e.data?.size > 0) this.chunks.push(e.data);
+      });
+      recorder.start();
+    } catch (error) {
+      // The microphone is released when the recorder cannot start
+      this.release();
+      throw error;
+    }
+    this.startedAt = Date.now();
+
+    if (this.maxDuration > 0) {
+      this.timer = setTimeout(() => this.onMaxDuration?.(), this.maxDuration);
+    }
+  }
+
+  /**
+   * Stops recording.
+   * @returns {Promise<{ blob: Blob, duration: number }|null>} The recording, or null when
+   *   nothing was being recorded.
+   */
+  stop() {
+    const recorder = this.recorder;
+    if (!recorder) return Promise.resolve(null);
+
+    return new Promise((resolve) => {
+      recorder.addEventListener('stop', () => {
+        const blob = new Blob(this.chunks, { type: recorder.mimeType || 'audio/webm' });
+        const duration = Date.now() - this.startedAt;
+        this.release();
+        resolve({ blob, duration });
+      }, { once: true });
+      recorder.stop();
+    });
+  }
+
+  // Stops recording and drops what was recorded
+  cancel() {
+    if (!this.recorder) return;
+    if (this.recorder.state !== 'inactive') this.recorder.stop();
+    this.release();
+  }
+
+  release() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.stream?.getTracks().forEach(track => track.stop());
+    this.stream = null;
+    this.recorder = null;
+    this.chunks = [];
+  }
+}